@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Bitcoin for Institutions - Search Index Builder
+ * Reads every HTML page and writes data/search-index.json: one entry per
+ * page section (the text under each h2), for the search box in the nav.
+ *
+ * Run from anywhere after editing a page: node scripts/build-search-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'data', 'search-index.json');
+const PAGE_DIRS = ['.', 'pages', 'pages/part1', 'pages/part2', 'pages/part3', 'pages/tools'];
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', rarr: '→', larr: '←',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', minus: '−',
+  times: '×', middot: '·', copy: '©', le: '≤', ge: '≥'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(n);
+    }
+    return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : match;
+  });
+}
+
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Drop markup that is chrome rather than content
+function stripChrome(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|nav|footer|button|select|canvas)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<div class="(content-toggle|hero-decoration|card-icon)">[\s\S]*?<\/div>/gi, '')
+    .replace(/<div class="page-nav">[\s\S]*?<\/div>\s*<\/div>/gi, '');
+}
+
+function indexPage(file) {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const titleMatch = html.match(/<title>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? toText(titleMatch[1]).split(' | ')[0] : file;
+  const mainMatch = html.match(/<main\b[^>]*>([\s\S]*)<\/main>/i);
+  const body = stripChrome(mainMatch ? mainMatch[1] : html).replace(/<h1[^>]*>[\s\S]*?<\/h1>/i, '');
+
+  // Split at each h2; the text before the first one belongs to the page itself
+  const sections = [];
+  const parts = body.split(/(?=<h2\b)/i);
+  parts.forEach((part, i) => {
+    const heading = part.match(/^<h2\b([^>]*)>([\s\S]*?)<\/h2>/i);
+    const text = toText(heading ? part.slice(heading[0].length) : part);
+    if (!text && !heading) return;
+
+    const id = heading && heading[1].match(/\bid="([^"]+)"/);
+    sections.push({
+      id: id ? id[1] : null,
+      title: heading ? toText(heading[2]) : (i === 0 ? title : ''),
+      text
+    });
+  });
+
+  return { url: file.split(path.sep).join('/'), title, sections };
+}
+
+function buildIndex() {
+  const files = [];
+  PAGE_DIRS.forEach(dir => {
+    fs.readdirSync(path.join(ROOT, dir))
+      .filter(name => name.endsWith('.html'))
+      .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+      .forEach(name => files.push(path.join(dir, name)));
+  });
+
+  const pages = [];
+  const sections = [];
+  files.forEach(file => {
+    const page = indexPage(path.normalize(file));
+    page.sections.forEach(section => sections.push({ page: pages.length, ...section }));
+    pages.push({ url: page.url, title: page.title });
+  });
+  return { pages, sections };
+}
+
+// One line per page and section, like the other data files
+function serialize(index) {
+  const lines = list => list.map(item => '    ' + JSON.stringify(item)).join(',\n');
+  return '{\n  "pages": [\n' + lines(index.pages) + '\n  ],\n  "sections": [\n' + lines(index.sections) + '\n  ]\n}\n';
+}
+
+const index = buildIndex();
+fs.writeFileSync(OUTPUT, serialize(index));
+console.log('Indexed ' + index.sections.length + ' sections from ' + index.pages.length + ' pages into ' + path.relative(ROOT, OUTPUT));
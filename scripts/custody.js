@@ -0,0 +1,398 @@
+/**
+ * Bitcoin for Institutions - Custody Planner
+ * Scores single-sig, multisig, collaborative and qualified custody for loss,
+ * theft and counterparty risk and operating cost, from annual probabilities
+ * the user can adjust
+ */
+
+// Custody Planner State
+const custodyPlanner = {
+  inputs: {
+    custodyHoldings: { value: 10000000, min: 1, max: 1e11 },
+
+    // Multisig structure
+    custodyM: { value: 2, min: 1, max: 7 },
+    custodyN: { value: 3, min: 1, max: 7 },
+    custodyHolders: { value: 3, min: 1, max: 7 },
+    custodySites: { value: 2, min: 1, max: 7 },
+    custodyAgentKeys: { value: 0, min: 0, max: 6 },
+
+    // Annual probabilities, in percent
+    custodyKeyLoss: { value: 2, min: 0, max: 100 }, // a self-held key is lost or destroyed
+    custodyKeyCompromise: { value: 1, min: 0, max: 100 }, // a key holder is hacked, coerced or turns
+    custodySiteDisaster: { value: 0.5, min: 0, max: 100 }, // a site is destroyed with every key in it
+    custodyProviderFailure: { value: 2, min: 0, max: 100 }, // a key agent shuts down or loses its key
+    custodyProviderCompromise: { value: 0.5, min: 0, max: 100 },
+    custodyCustodianHack: { value: 0.2, min: 0, max: 100 },
+    custodyCustodianFailure: { value: 0.5, min: 0, max: 100 },
+    custodyCustodianRecovery: { value: 80, min: 0, max: 100 }, // share returned to clients after a failure
+
+    // Operating costs
+    custodyKeyCost: { value: 2000, min: 0, max: 1e7 }, // $/yr per self-held key: devices, staff time, ceremonies
+    custodySiteCost: { value: 1500, min: 0, max: 1e7 }, // $/yr per storage site: vault or safe-deposit box
+    custodyProviderFee: { value: 10000, min: 0, max: 1e8 }, // $/yr to a key agent
+    custodyCustodianFee: { value: 0.2, min: 0, max: 5 } // %/yr of holdings
+  },
+  // Third-party probabilities, zeroed to find how much risk a setup takes on from others
+  thirdPartyInputs: ['custodyProviderFailure', 'custodyProviderCompromise', 'custodyCustodianHack', 'custodyCustodianFailure']
+};
+
+// Initialize planner
+function initCustodyPlanner() {
+  const inputs = custodyPlanner.inputs;
+  Object.keys(inputs).forEach(id => {
+    inputs[id].default = inputs[id].value;
+    const el = document.getElementById(id);
+    if (el) {
+      el.value = inputs[id].value;
+      el.addEventListener('input', handleCustodyInput);
+      el.addEventListener('change', handleCustodyInput);
+    }
+  });
+
+  const download = document.getElementById('custodyDownload');
+  if (download) download.addEventListener('click', exportCustodyCSV);
+
+  if (!initUrlState({ getState: getCustodyState, applyState: applyCustodyState })) {
+    updateCustodyPlanner();
+  }
+}
+
+function handleCustodyInput(e) {
+  try {
+    const input = custodyPlanner.inputs[e.target.id];
+    if (!input) return;
+    const value = parseFloat(e.target.value);
+    if (isNaN(value)) return;
+    input.value = clamp(value, input.min, input.max);
+    // Only rewrite the field once editing is done, so typing is not interrupted
+    if (e.type === 'change') e.target.value = input.value;
+    updateCustodyPlanner();
+  } catch (err) {
+    console.error('Error handling custody input:', err);
+  }
+}
+
+function getCustodyValues() {
+  const values = {};
+  Object.keys(custodyPlanner.inputs).forEach(id => {
+    values[id] = custodyPlanner.inputs[id].value;
+  });
+  return values;
+}
+
+// ===== Shareable State =====
+
+// Only inputs changed from their defaults, to keep links short
+function getCustodyState() {
+  const state = {};
+  Object.keys(custodyPlanner.inputs).forEach(id => {
+    const input = custodyPlanner.inputs[id];
+    if (input.value !== input.default) state[id] = input.value;
+  });
+  return state;
+}
+
+function applyCustodyState(state) {
+  Object.keys(state).forEach(id => {
+    const input = custodyPlanner.inputs[id];
+    const value = parseFloat(state[id]);
+    if (input && isFinite(value)) input.value = clamp(value, input.min, input.max);
+  });
+  Object.keys(custodyPlanner.inputs).forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = custodyPlanner.inputs[id].value;
+  });
+  updateCustodyPlanner();
+}
+
+// ===== Setups =====
+
+/**
+ * Each setup is a signing threshold and a list of keys, each with the
+ * holder who could be compromised and the site that could be destroyed.
+ * Self-held keys are spread round-robin across holders and sites; a key
+ * agent's keys share one holder and one site. The qualified custodian has
+ * no keys of ours and is scored separately.
+ */
+function getCustodySetups(v) {
+  const selfKeys = (count, holders, sites) => Array.from({ length: count }, (_, i) => ({
+    holder: 'holder' + (i % Math.min(holders, count)),
+    site: 'site' + (i % Math.min(sites, count))
+  }));
+  const agentKeys = count => Array.from({ length: count }, () => ({ holder: 'agent', site: 'agent' }));
+
+  const n = Math.round(v.custodyN);
+  const m = Math.min(Math.round(v.custodyM), n);
+  const agents = Math.min(Math.round(v.custodyAgentKeys), n - 1);
+  const staffKeys = n - agents;
+  const holders = Math.min(Math.round(v.custodyHolders), staffKeys);
+  const sites = Math.min(Math.round(v.custodySites), staffKeys);
+
+  return [
+    {
+      name: 'Single-Sig Self-Custody',
+      structure: '1 key, 1 holder, 1 site',
+      threshold: 1,
+      keys: selfKeys(1, 1, 1)
+    },
+    {
+      name: m + '-of-' + n + ' Multisig',
+      structure: staffKeys + ' self-held key' + (staffKeys === 1 ? '' : 's') + ', ' + holders + ' holder' + (holders === 1 ? '' : 's') +
+        ', ' + sites + ' site' + (sites === 1 ? '' : 's') + (agents ? ', ' + agents + ' with a key agent' : ''),
+      threshold: m,
+      keys: selfKeys(staffKeys, holders, sites).concat(agentKeys(agents))
+    },
+    {
+      name: 'Collaborative Custody',
+      structure: '2-of-3: 2 self-held keys, ' + Math.min(holders, 2) + ' holder' + (Math.min(holders, 2) === 1 ? '' : 's') +
+        ', ' + Math.min(sites, 2) + ' site' + (Math.min(sites, 2) === 1 ? '' : 's') + ', 1 with the provider',
+      threshold: 2,
+      keys: selfKeys(2, holders, sites).concat(agentKeys(1))
+    },
+    {
+      name: 'Qualified Custodian',
+      structure: 'All keys held by a regulated custodian',
+      custodian: true
+    }
+  ];
+}
+
+// Probability of each outcome of independent events, as [{ occurred: Set, probability }]
+function enumerateEvents(events) {
+  const outcomes = [];
+  for (let mask = 0; mask < (1 << events.length); mask++) {
+    let probability = 1;
+    const occurred = new Set();
+    events.forEach((event, i) => {
+      if (mask & (1 << i)) {
+        probability *= event.probability;
+        occurred.add(event.id);
+      } else {
+        probability *= 1 - event.probability;
+      }
+    });
+    if (probability > 0) outcomes.push({ occurred, probability });
+  }
+  return outcomes;
+}
+
+/**
+ * Annual probability that fewer keys than the threshold survive. A site
+ * disaster or key agent failure takes out every key at that site; each
+ * self-held key can also be lost on its own.
+ */
+function getLossProbability(setup, v) {
+  const sites = [...new Set(setup.keys.map(k => k.site))].map(site => ({
+    id: site,
+    probability: (site === 'agent' ? v.custodyProviderFailure : v.custodySiteDisaster) / 100
+  }));
+
+  return enumerateEvents(sites).reduce((total, outcome) => {
+    // Distribution of the number of surviving keys, given which sites failed
+    let survivors = [1];
+    setup.keys.forEach(key => {
+      const survival = outcome.occurred.has(key.site) ? 0 : 1 - (key.site === 'agent' ? 0 : v.custodyKeyLoss / 100);
+      const next = new Array(survivors.length + 1).fill(0);
+      survivors.forEach((p, count) => {
+        next[count] += p * (1 - survival);
+        next[count + 1] += p * survival;
+      });
+      survivors = next;
+    });
+    const short = survivors.slice(0, setup.threshold).reduce((a, b) => a + b, 0);
+    return total + outcome.probability * short;
+  }, 0);
+}
+
+// Annual probability that compromised holders control enough keys to sign
+function getTheftProbability(setup, v) {
+  const holders = [...new Set(setup.keys.map(k => k.holder))].map(holder => ({
+    id: holder,
+    probability: (holder === 'agent' ? v.custodyProviderCompromise : v.custodyKeyCompromise) / 100
+  }));
+
+  return enumerateEvents(holders).reduce((total, outcome) => {
+    const stolen = setup.keys.filter(k => outcome.occurred.has(k.holder)).length;
+    return stolen >= setup.threshold ? total + outcome.probability : total;
+  }, 0);
+}
+
+// Loss and theft probabilities plus the expected loss from insolvency, all per year
+function getSetupRisk(setup, v) {
+  if (setup.custodian) {
+    return {
+      loss: 0,
+      theft: v.custodyCustodianHack / 100,
+      insolvency: v.custodyCustodianFailure / 100 * (1 - v.custodyCustodianRecovery / 100)
+    };
+  }
+  return { loss: getLossProbability(setup, v), theft: getTheftProbability(setup, v), insolvency: 0 };
+}
+
+function getOperatingCost(setup, v) {
+  if (setup.custodian) return v.custodyHoldings * v.custodyCustodianFee / 100;
+  const selfKeys = setup.keys.filter(k => k.holder !== 'agent');
+  const sites = new Set(selfKeys.map(k => k.site)).size;
+  const hasAgent = selfKeys.length < setup.keys.length;
+  return selfKeys.length * v.custodyKeyCost + sites * v.custodySiteCost + (hasAgent ? v.custodyProviderFee : 0);
+}
+
+/**
+ * Score every setup. Expected loss treats loss and theft as losing the whole
+ * holding; counterparty risk is the part of it that goes away if every third
+ * party were perfectly reliable.
+ */
+function scoreCustodySetups(v) {
+  const trusted = { ...v };
+  custodyPlanner.thirdPartyInputs.forEach(id => { trusted[id] = 0; });
+
+  return getCustodySetups(v).map(setup => {
+    const risk = getSetupRisk(setup, v);
+    const trustedRisk = getSetupRisk(setup, trusted);
+    const expectedLoss = risk.loss + risk.theft + risk.insolvency;
+    const counterparty = Math.max(0, expectedLoss - (trustedRisk.loss + trustedRisk.theft + trustedRisk.insolvency));
+    const operatingCost = getOperatingCost(setup, v);
+    const expectedLossValue = expectedLoss * v.custodyHoldings;
+    return {
+      setup,
+      loss: risk.loss,
+      theft: risk.theft,
+      counterparty,
+      operatingCost,
+      expectedLoss: expectedLossValue,
+      totalCost: expectedLossValue + operatingCost
+    };
+  });
+}
+
+// ===== Results =====
+
+// Annual probabilities span several orders of magnitude
+function formatProbability(probability) {
+  const percent = probability * 100;
+  if (percent === 0) return '0%';
+  if (percent < 0.001) return '<0.001%';
+  return Number(percent.toPrecision(2)) + '%';
+}
+
+function updateCustodyPlanner() {
+  try {
+    const v = getCustodyValues();
+    const scores = scoreCustodySetups(v);
+    custodyPlanner.lastScores = scores;
+
+    let best = 0;
+    scores.forEach((score, i) => {
+      if (score.totalCost < scores[best].totalCost) best = i;
+    });
+
+    const set = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    set('custodyBest', scores[best].setup.name);
+    set('custodyBestCost', formatCurrency(scores[best].totalCost));
+    const multisig = scores[1].setup;
+    set('custodyTolerance', String(multisig.keys.length - multisig.threshold));
+    set('custodyKeysToSteal', String(multisig.threshold));
+
+    renderCustodyTable(scores, best);
+    updateCustodyNote(v);
+    writeUrlState(getCustodyState());
+  } catch (err) {
+    console.error('Error updating custody planner:', err);
+  }
+}
+
+function renderCustodyTable(scores, best) {
+  const tbody = document.getElementById('custodyComparison');
+  if (!tbody) return;
+  tbody.textContent = '';
+
+  scores.forEach((score, i) => {
+    const row = document.createElement('tr');
+    if (i < scores.length - 1) row.style.borderBottom = '1px solid var(--bg-hover)';
+
+    const nameCell = document.createElement('td');
+    nameCell.style.padding = 'var(--space-sm)';
+    const name = document.createElement('div');
+    name.textContent = score.setup.name;
+    if (i === best) name.style.color = 'var(--success)';
+    const structure = document.createElement('div');
+    structure.className = 'text-muted';
+    structure.style.fontSize = '0.75rem';
+    structure.textContent = score.setup.structure;
+    nameCell.appendChild(name);
+    nameCell.appendChild(structure);
+    row.appendChild(nameCell);
+
+    [
+      formatProbability(score.loss),
+      formatProbability(score.theft),
+      formatProbability(score.counterparty),
+      formatCurrency(score.operatingCost),
+      formatCurrency(score.expectedLoss),
+      formatCurrency(score.totalCost)
+    ].forEach(text => {
+      const cell = document.createElement('td');
+      cell.style.padding = 'var(--space-sm)';
+      cell.style.textAlign = 'right';
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+}
+
+// Explain where the multisig inputs were capped to make a valid setup
+function updateCustodyNote(v) {
+  const note = document.getElementById('custodyNote');
+  if (!note) return;
+  const notes = [];
+  const n = Math.round(v.custodyN);
+  const agents = Math.min(Math.round(v.custodyAgentKeys), n - 1);
+  if (v.custodyM > n) notes.push('The threshold cannot exceed the number of keys, so ' + n + '-of-' + n + ' is used.');
+  if (v.custodyAgentKeys > agents) notes.push('At least one key stays self-held, so the key agent holds ' + agents + '.');
+  if (v.custodyHolders > n - agents) notes.push('There are more key holders than self-held keys; extra holders are ignored.');
+  if (v.custodySites > n - agents) notes.push('There are more sites than self-held keys; extra sites are ignored.');
+  note.textContent = notes.join(' ');
+  note.style.display = notes.length ? 'block' : 'none';
+}
+
+// ===== Export =====
+
+// Assumptions and scores in one file, for an audit or investment committee file
+function exportCustodyCSV() {
+  const scores = custodyPlanner.lastScores;
+  if (!scores) return false;
+  const v = getCustodyValues();
+
+  const rows = [['Assumption', 'Value']];
+  Object.keys(custodyPlanner.inputs).forEach(id => {
+    const el = document.getElementById(id);
+    const label = el && el.labels && el.labels.length ? el.labels[0].textContent : id;
+    rows.push([label, v[id]]);
+  });
+  rows.push([]);
+  rows.push(['Setup', 'Structure', 'Loss Risk (%/yr)', 'Theft Risk (%/yr)', 'Counterparty Risk (%/yr)',
+    'Operating Cost ($/yr)', 'Expected Loss ($/yr)', 'Total Annual Cost ($)']);
+  scores.forEach(score => {
+    rows.push([
+      score.setup.name,
+      score.setup.structure,
+      (score.loss * 100).toFixed(4),
+      (score.theft * 100).toFixed(4),
+      (score.counterparty * 100).toFixed(4),
+      score.operatingCost.toFixed(2),
+      score.expectedLoss.toFixed(2),
+      score.totalCost.toFixed(2)
+    ]);
+  });
+
+  const csv = rows.map(row => row.map(escapeCSV).join(',')).join('\n') + '\n';
+  return downloadFile('custody-plan-' + new Date().toISOString().slice(0, 10) + '.csv', csv, 'text/csv');
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', initCustodyPlanner);
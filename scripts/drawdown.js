@@ -0,0 +1,271 @@
+/**
+ * Bitcoin for Institutions - Drawdown Explorer
+ * Finds every drawdown deeper than a chosen threshold in the Bitcoin price
+ * series and derives the table, headline stats and underwater chart from it
+ */
+
+// Drawdown Explorer State
+const drawdownExplorer = {
+  threshold: 50, // minimum decline, in percent, for an episode to be listed
+  minThreshold: 10,
+  maxThreshold: 90,
+  prices: sampleBitcoinData.prices
+};
+
+// Initialize explorer
+function initDrawdownExplorer() {
+  const slider = document.getElementById('drawdownThreshold');
+  if (slider) {
+    slider.addEventListener('input', handleThresholdChange);
+    slider.addEventListener('change', handleThresholdChange);
+  }
+
+  updateUnderwaterChart();
+  if (!initUrlState({ getState: getDrawdownState, applyState: applyDrawdownState })) {
+    updateDrawdowns();
+  }
+}
+
+function handleThresholdChange(e) {
+  try {
+    const value = parseFloat(e.target.value);
+    if (isNaN(value)) return;
+    drawdownExplorer.threshold = Math.round(clamp(value, drawdownExplorer.minThreshold, drawdownExplorer.maxThreshold));
+    updateDrawdowns();
+  } catch (err) {
+    console.error('Error handling threshold change:', err);
+  }
+}
+
+// ===== Shareable State =====
+
+function getDrawdownState() {
+  return { threshold: drawdownExplorer.threshold };
+}
+
+function applyDrawdownState(state) {
+  const threshold = parseFloat(state.threshold);
+  if (isFinite(threshold)) {
+    drawdownExplorer.threshold = Math.round(clamp(threshold, drawdownExplorer.minThreshold, drawdownExplorer.maxThreshold));
+  }
+  const slider = document.getElementById('drawdownThreshold');
+  if (slider) slider.value = drawdownExplorer.threshold;
+  updateDrawdowns();
+}
+
+// ===== Formatting =====
+
+function formatDate(isoDate) {
+  return new Date(isoDate + 'T00:00:00Z').toLocaleDateString('en-US', {
+    timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric'
+  });
+}
+
+// Early prices were a few dollars, so show cents below $100
+function formatPrice(price) {
+  return formatCurrency(price, price < 100 ? 2 : 0);
+}
+
+function formatDays(days) {
+  return formatNumber(days) + ' days (' + (days / 365.25).toFixed(1) + ' yrs)';
+}
+
+// Decimal year for plotting irregularly spaced dates on a linear axis
+function toDecimalYear(isoDate) {
+  const date = new Date(isoDate + 'T00:00:00Z');
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  return year + (date.getTime() - start) / (Date.UTC(year + 1, 0, 1) - start);
+}
+
+// ===== Results =====
+
+/**
+ * Headline numbers for a list of episodes. Averages only include episodes
+ * that have recovered; an open drawdown has no recovery time yet.
+ */
+function summarizeDrawdowns(episodes) {
+  const recovered = episodes.filter(e => e.end);
+  return {
+    count: episodes.length,
+    worst: episodes.length ? Math.min(...episodes.map(e => e.drawdown)) : null,
+    averageRecovery: recovered.length
+      ? recovered.reduce((sum, e) => sum + e.recovery, 0) / recovered.length
+      : null,
+    recoveryRate: episodes.length ? recovered.length / episodes.length * 100 : null
+  };
+}
+
+function updateDrawdowns() {
+  try {
+    const threshold = drawdownExplorer.threshold;
+    const episodes = findDrawdowns(drawdownExplorer.prices, threshold);
+
+    const thresholdValue = document.getElementById('drawdownThresholdValue');
+    if (thresholdValue) thresholdValue.textContent = threshold + '%';
+    const slider = document.getElementById('drawdownThreshold');
+    if (slider) slider.setAttribute('aria-valuenow', threshold);
+    document.querySelectorAll('[data-threshold]').forEach(el => {
+      el.textContent = threshold;
+    });
+
+    renderDrawdownTable(episodes);
+    updateDrawdownStats(episodes);
+    updateThresholdLine();
+    writeUrlState(getDrawdownState());
+  } catch (err) {
+    console.error('Error updating drawdowns:', err);
+  }
+}
+
+function renderDrawdownTable(episodes) {
+  const tbody = document.getElementById('drawdownTable');
+  if (!tbody) return;
+  tbody.textContent = '';
+
+  if (!episodes.length) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.style.padding = 'var(--space-sm)';
+    cell.className = 'text-muted';
+    cell.textContent = 'No drawdowns this deep in the price history.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+
+  episodes.forEach((episode, i) => {
+    const row = document.createElement('tr');
+    if (i < episodes.length - 1) row.style.borderBottom = '1px solid var(--bg-hover)';
+
+    const cells = [
+      formatDate(episode.start) + ' · ' + formatPrice(episode.peak),
+      formatDate(episode.troughDate) + ' · ' + formatPrice(episode.trough),
+      episode.end ? formatDate(episode.end) : 'Not yet recovered',
+      episode.drawdown.toFixed(1) + '%',
+      formatDays(episode.daysToTrough),
+      episode.end ? formatDays(episode.recovery) : '—'
+    ];
+    cells.forEach((text, col) => {
+      const cell = document.createElement('td');
+      cell.style.padding = 'var(--space-sm)';
+      if (col > 2) cell.style.textAlign = 'right';
+      if (col === 3) cell.style.color = 'var(--error)';
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+}
+
+function updateDrawdownStats(episodes) {
+  const stats = summarizeDrawdowns(episodes);
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+
+  const averageYears = stats.averageRecovery === null ? null : (stats.averageRecovery / 365.25).toFixed(1);
+  set('statWorst', stats.worst === null ? '—' : stats.worst.toFixed(1) + '%');
+  set('statAvgRecovery', averageYears === null ? '—' : '~' + averageYears + ' yrs');
+  set('statCount', String(stats.count));
+  set('statRecoveryRate', stats.recoveryRate === null ? '—' : stats.recoveryRate.toFixed(0) + '%');
+
+  // The comparison table always shows the deepest decline in the history,
+  // and the average recovery of the episodes above the threshold
+  const all = calculateUnderwater(drawdownExplorer.prices);
+  set('btcWorstDrawdown', Math.min(...all.map(p => p.drawdown)).toFixed(1) + '%');
+  set('btcRecoveryTime', averageYears === null ? '—' : '~' + averageYears + ' years (avg.)');
+}
+
+// ===== Underwater Chart =====
+
+function updateUnderwaterChart() {
+  try {
+    const ctx = document.getElementById('underwaterChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    if (window.underwaterChartInstance) {
+      window.underwaterChartInstance.destroy();
+    }
+
+    const underwater = calculateUnderwater(drawdownExplorer.prices);
+    const first = toDecimalYear(underwater[0].date);
+    const last = toDecimalYear(underwater[underwater.length - 1].date);
+
+    window.underwaterChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: [
+          {
+            label: 'Below Previous High',
+            data: underwater.map(p => ({ x: toDecimalYear(p.date), y: p.drawdown, date: p.date })),
+            borderColor: chartColors.red,
+            backgroundColor: 'rgba(248, 81, 73, 0.25)',
+            borderWidth: 1.5,
+            pointRadius: 0,
+            fill: 'origin'
+          },
+          {
+            label: 'Threshold',
+            data: [{ x: first, y: -drawdownExplorer.threshold }, { x: last, y: -drawdownExplorer.threshold }],
+            borderColor: chartColors.gray,
+            borderDash: [6, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'nearest', intersect: false },
+        plugins: {
+          legend: { labels: { color: '#E6EDF3' } },
+          tooltip: {
+            backgroundColor: '#1C2128',
+            titleColor: '#E6EDF3',
+            bodyColor: '#8B949E',
+            filter: item => item.datasetIndex === 0,
+            callbacks: {
+              title: items => items.length ? formatDate(items[0].raw.date) : '',
+              label: context => context.raw.y.toFixed(1) + '% below previous high'
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'linear',
+            min: Math.floor(first),
+            max: Math.ceil(last),
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E', stepSize: 1, callback: value => String(value) }
+          },
+          y: {
+            max: 0,
+            min: -100,
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E', callback: value => value + '%' }
+          }
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error creating underwater chart:', err);
+  }
+}
+
+// Move the dashed threshold line without redrawing the whole chart
+function updateThresholdLine() {
+  const chart = window.underwaterChartInstance;
+  if (!chart) return;
+  chart.data.datasets[1].data.forEach(point => {
+    point.y = -drawdownExplorer.threshold;
+  });
+  chart.update('none');
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', initDrawdownExplorer);
@@ -4,8 +4,12 @@
 
 // ===== Constants =====
 const STORAGE_PREFIX = 'bfi_';
-const STORAGE_VERSION = 'v1';
+const STORAGE_VERSION = 'v2';
 const MAX_STORAGE_SIZE = 5000000; // 5MB limit
+const STORAGE_FALLBACK_PREFIX = 'bfi-fallback_'; // entries that could not be loaded, kept for recovery
+
+// This script lives in /scripts, so the site root is found relative to it
+const SITE_ROOT = document.currentScript ? new URL('../', document.currentScript.src).href : '';
 
 // ===== DOM Utilities =====
 function $(selector) {
@@ -126,6 +130,78 @@ function calculateMaxDrawdown(values) {
   return maxDrawdown;
 }
 
+// Seeded PRNG (mulberry32) so a scenario can be reproduced exactly
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw via Box-Muller
+function randomNormal(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000);
+}
+
+/**
+ * Percent below the running peak at each point of a [date, price] series
+ * (0 at a new high, negative while underwater).
+ */
+function calculateUnderwater(series) {
+  let peak = -Infinity;
+  return series.map(([date, price]) => {
+    peak = Math.max(peak, price);
+    return { date, drawdown: (price / peak - 1) * 100 };
+  });
+}
+
+/**
+ * Every peak-to-recovery episode in a [date, price] series whose decline
+ * reached at least `threshold` percent. An episode ends when the price first
+ * gets back to its peak; one still open at the end of the series has
+ * end: null. `recovery` is the number of days from peak to recovery.
+ */
+function findDrawdowns(series, threshold = 50) {
+  const episodes = [];
+  let current = null;
+
+  const close = end => {
+    if (current && -current.drawdown >= threshold) {
+      episodes.push({
+        ...current,
+        end,
+        daysToTrough: daysBetween(current.start, current.troughDate),
+        recovery: end ? daysBetween(current.start, end) : null
+      });
+    }
+  };
+
+  series.forEach(([date, price]) => {
+    if (!current || price >= current.peak) {
+      close(date);
+      current = { start: date, peak: price, troughDate: date, trough: price, drawdown: 0 };
+    } else if (price < current.trough) {
+      current.troughDate = date;
+      current.trough = price;
+      current.drawdown = (price / current.peak - 1) * 100;
+    }
+  });
+  close(null);
+
+  return episodes;
+}
+
 function calculateVolatility(returns) {
   const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
   const squaredDiffs = returns.map(r => Math.pow(r - mean, 2));
@@ -170,27 +246,51 @@ function saveToStorage(key, value) {
 }
 
 function loadFromStorage(key, defaultValue = null) {
+  const name = String(key).replace(/[^a-zA-Z0-9_-]/g, '_');
+  let item;
   try {
-    const sanitizedKey = STORAGE_PREFIX + String(key).replace(/[^a-zA-Z0-9_-]/g, '_');
-    const item = localStorage.getItem(sanitizedKey);
-
-    if (!item) {
-      return defaultValue;
-    }
+    item = localStorage.getItem(STORAGE_PREFIX + name);
+  } catch (e) {
+    console.error('Error loading from localStorage:', e);
+    return defaultValue;
+  }
 
-    const parsed = JSON.parse(item);
+  if (!item) {
+    return defaultValue;
+  }
 
-    // Check version and migrate if needed
-    if (!parsed.version) {
-      // Legacy format, return data directly
-      return parsed;
-    }
+  let parsed;
+  try {
+    parsed = JSON.parse(item);
+  } catch (e) {
+    moveToFallback(name, item, 'Unreadable JSON');
+    return defaultValue;
+  }
 
-    return parsed.data !== undefined ? parsed.data : defaultValue;
+  // Check version and migrate if needed
+  const storedVersion = getStoredVersion(parsed);
+  let entry;
+  try {
+    entry = migrateStorageEntry(name, parsed);
   } catch (e) {
-    console.error('Error loading from localStorage:', e);
+    moveToFallback(name, item, 'Migration from ' + storedVersion + ' failed: ' + e.message);
+    return defaultValue;
+  }
+  if (!entry) {
+    // Saved by a newer version of the site, e.g. in another tab: leave it for that version to read
     return defaultValue;
   }
+
+  // Write the upgraded entry back so each migration runs once
+  if (storedVersion !== STORAGE_VERSION) {
+    try {
+      localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(entry));
+    } catch (e) {
+      console.error('Error saving migrated entry:', e);
+    }
+  }
+
+  return entry.data ?? defaultValue;
 }
 
 function removeFromStorage(key) {
@@ -204,6 +304,134 @@ function removeFromStorage(key) {
   }
 }
 
+// ===== Storage Migrations =====
+// Stored versions, oldest first; values saved before versioning count as v0.
+// To change a stored shape, add a version here, set STORAGE_VERSION to it and
+// register a migration for each key whose data changes, in this section so it
+// is in place before anything loads.
+const STORAGE_VERSIONS = ['v0', 'v1', 'v2'];
+
+// storageMigrations[key][fromVersion](data) returns data in the next version's
+// shape; a key with no migration for a step carries over unchanged
+const storageMigrations = {};
+
+// v2: saved scenarios carry modifiedAt so renames and deletions win an import merge
+registerStorageMigration('portfolio_scenarios', 'v1', scenarios => Array.isArray(scenarios)
+  ? scenarios.map(s => s && !s.modifiedAt ? { ...s, modifiedAt: s.savedAt || 0 } : s)
+  : scenarios);
+
+function registerStorageMigration(key, fromVersion, migrate) {
+  if (!STORAGE_VERSIONS.includes(fromVersion) || fromVersion === STORAGE_VERSION) {
+    console.error('Cannot register a migration from ' + fromVersion);
+    return;
+  }
+  (storageMigrations[key] ||= {})[fromVersion] = migrate;
+}
+
+// Values saved before versioning are stored bare, without the { version, timestamp, data } wrapper
+function getStoredVersion(entry) {
+  return entry && typeof entry === 'object' && entry.version ? entry.version : 'v0';
+}
+
+// Bring an entry up to STORAGE_VERSION; null if it comes from a newer version of the site
+function migrateStorageEntry(key, entry) {
+  const wrapped = getStoredVersion(entry) === 'v0'
+    ? { version: 'v0', timestamp: 0, data: entry }
+    : entry;
+
+  let index = STORAGE_VERSIONS.indexOf(wrapped.version);
+  if (index === -1) return null;
+
+  let data = wrapped.data;
+  for (; index < STORAGE_VERSIONS.length - 1; index++) {
+    const migrate = storageMigrations[key] && storageMigrations[key][STORAGE_VERSIONS[index]];
+    if (migrate) data = migrate(data);
+  }
+  return { version: STORAGE_VERSION, timestamp: wrapped.timestamp || 0, data };
+}
+
+// Set an entry that cannot be loaded aside instead of failing on it every time
+function moveToFallback(name, raw, reason) {
+  console.warn('Moving stored "' + name + '" to the fallback store: ' + reason);
+  try {
+    localStorage.setItem(STORAGE_FALLBACK_PREFIX + name, JSON.stringify({ reason, timestamp: Date.now(), raw }));
+    localStorage.removeItem(STORAGE_PREFIX + name);
+  } catch (e) {
+    console.error('Error moving entry to the fallback store:', e);
+  }
+}
+
+function clearStorageFallback() {
+  try {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(STORAGE_FALLBACK_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+    return true;
+  } catch (e) {
+    console.error('Error clearing the fallback store:', e);
+    return false;
+  }
+}
+
+// Every stored key with its size and version, for the diagnostics view
+function getStorageDiagnostics() {
+  const entries = [];
+  const fallback = [];
+  let totalSize = 0;
+
+  // Touching localStorage throws when the browser blocks storage
+  let names;
+  try {
+    names = Object.keys(localStorage);
+  } catch (e) {
+    console.error('Error reading localStorage:', e);
+    return { entries, fallback, totalSize, limit: MAX_STORAGE_SIZE, available: false };
+  }
+
+  names.forEach(name => {
+    const raw = localStorage.getItem(name) || '';
+    const size = name.length + raw.length;
+
+    if (name.startsWith(STORAGE_FALLBACK_PREFIX)) {
+      totalSize += size;
+      let record = {};
+      try {
+        record = JSON.parse(raw);
+      } catch (e) {
+        // Listed without a reason
+      }
+      fallback.push({ key: name.slice(STORAGE_FALLBACK_PREFIX.length), size, reason: record.reason || 'Unknown', timestamp: record.timestamp || null });
+      return;
+    }
+    if (!name.startsWith(STORAGE_PREFIX)) return;
+
+    totalSize += size;
+    let parsed;
+    let status;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      status = 'Unreadable';
+    }
+    const version = getStoredVersion(parsed);
+    if (!status) {
+      if (version === STORAGE_VERSION) status = 'Current';
+      else if (STORAGE_VERSIONS.includes(version)) status = 'Migrates on next load';
+      else status = 'Newer version, left as is';
+    }
+    entries.push({
+      key: name.slice(STORAGE_PREFIX.length),
+      size,
+      version: status === 'Unreadable' ? '-' : version,
+      timestamp: parsed && parsed.timestamp ? parsed.timestamp : null,
+      status
+    });
+  });
+
+  entries.sort((a, b) => b.size - a.size);
+  return { entries, fallback, totalSize, limit: MAX_STORAGE_SIZE, available: true };
+}
+
 function clearStorage() {
   try {
     Object.keys(localStorage)
@@ -217,8 +445,15 @@ function clearStorage() {
 }
 
 // ===== Reading Progress =====
+// The table of contents lists the parts and chapters
+const TOC_URL = SITE_ROOT + 'pages/toc.html';
+
 const readingProgress = {
   chapters: loadFromStorage('reading_progress', {}),
+  toc: null, // [{ id, title, chapters: [{ id, title, path }] }] once loaded
+  currentChapter: null, // { id } of the chapter page being read
+  sectionReadDepth: 0.9, // share of a section scrolled past for it to count as read
+  saveTimer: null,
 
   markRead(chapterId) {
     // Validate chapter ID
@@ -228,10 +463,11 @@ const readingProgress = {
     }
 
     this.chapters[chapterId] = {
+      ...this.chapters[chapterId],
       completed: true,
       timestamp: Date.now()
     };
-    saveToStorage('reading_progress', this.chapters);
+    this.save();
     this.updateUI();
   },
 
@@ -240,35 +476,101 @@ const readingProgress = {
     return this.chapters[chapterId]?.completed || false;
   },
 
-  getProgress() {
-    const totalChapters = 13;
-    const readCount = Object.values(this.chapters).filter(c => c && c.completed).length;
-    return Math.min((readCount / totalChapters) * 100, 100);
+  // Record how far each section has been scrolled and where the reader is now
+  recordScroll(chapterId, depths, position) {
+    const entry = this.chapters[chapterId] || { completed: false };
+    const sections = { ...entry.sections };
+    Object.keys(depths).forEach(id => {
+      sections[id] = Math.max(sections[id] || 0, depths[id]);
+    });
+    this.chapters[chapterId] = { ...entry, sections, position, lastVisited: Date.now() };
+
+    const finished = Object.values(sections).every(depth => depth >= this.sectionReadDepth);
+    if (finished && !entry.completed) {
+      this.markRead(chapterId);
+      showMarkedAsRead(chapterId);
+      return;
+    }
+    this.scheduleSave();
+    this.updateUI();
+  },
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    saveToStorage('reading_progress', this.chapters);
+  },
+
+  // Scrolling fires constantly; write to storage at most once a second
+  scheduleSave() {
+    if (!this.saveTimer) this.saveTimer = setTimeout(() => this.save(), 1000);
+  },
+
+  // Percent of a chapter read: 100 once completed, else the average section depth
+  getChapterProgress(chapterId) {
+    const entry = this.chapters[chapterId];
+    if (!entry) return 0;
+    if (entry.completed) return 100;
+    const depths = Object.values(entry.sections || {});
+    if (!depths.length) return 0;
+    return (depths.reduce((sum, depth) => sum + Math.min(depth / this.sectionReadDepth, 1), 0) / depths.length) * 100;
+  },
+
+  // Chapters in one part, or in the whole book, as listed in the TOC
+  getChapterIds(partId) {
+    if (!this.toc) return [];
+    return this.toc
+      .filter(part => !partId || part.id === partId)
+      .flatMap(part => part.chapters.map(chapter => chapter.id));
+  },
+
+  getProgress(partId) {
+    const chapterIds = this.getChapterIds(partId);
+    if (!chapterIds.length) return 0;
+    const total = chapterIds.reduce((sum, id) => sum + this.getChapterProgress(id), 0);
+    return Math.min(total / chapterIds.length, 100);
   },
 
   updateUI() {
     try {
-      // Update any progress bars on the page
-      const progressBars = $$('.reading-progress');
-      const progress = this.getProgress();
-      progressBars.forEach(bar => {
-        if (bar) {
-          const fill = bar.querySelector('.reading-progress-fill');
+      // Update any progress bars on the page, for a part if one is named
+      $$('.reading-progress').forEach(bar => {
+        if (!bar) return;
+        const progress = this.getProgress(bar.dataset.part);
+        const fill = bar.querySelector('.reading-progress-fill');
+        if (fill) fill.style.width = progress + '%';
+        bar.setAttribute('aria-valuenow', Math.round(progress));
+      });
+
+      $$('.reading-progress-label').forEach(label => {
+        const chapterIds = this.getChapterIds(label.dataset.part);
+        if (!chapterIds.length) return;
+        const readCount = chapterIds.filter(id => this.isRead(id)).length;
+        label.textContent = readCount + ' of ' + chapterIds.length + ' chapters read';
+      });
+
+      // The bar at the top of a chapter page follows that chapter
+      if (this.currentChapter) {
+        const progress = this.getChapterProgress(this.currentChapter.id);
+        $$('.chapter-progress').forEach(bar => {
+          const fill = bar.querySelector('.progress-fill');
           if (fill) fill.style.width = progress + '%';
           bar.setAttribute('aria-valuenow', Math.round(progress));
-        }
-      });
+        });
+      }
 
       // Update chapter status indicators
-      $$('.toc-chapter').forEach(el => {
+      $$('.toc-chapter, .chapter-card[data-chapter]').forEach(el => {
         if (!el) return;
         const chapterId = el.dataset.chapter;
-        if (chapterId && this.isRead(chapterId)) {
-          const status = el.querySelector('.toc-chapter-status');
-          if (status) {
-            status.textContent = 'Completed';
-            status.classList.add('completed');
-          }
+        const status = el.querySelector('.toc-chapter-status');
+        if (!chapterId || !status) return;
+        if (this.isRead(chapterId)) {
+          status.textContent = 'Completed';
+          status.classList.add('completed');
+        } else {
+          const progress = this.getChapterProgress(chapterId);
+          status.textContent = progress > 0 ? Math.round(progress) + '% read' : '';
         }
       });
     } catch (e) {
@@ -277,6 +579,134 @@ const readingProgress = {
   }
 };
 
+function parseTableOfContents(doc, baseUrl) {
+  return Array.from(doc.querySelectorAll('.toc-part')).map(part => ({
+    id: part.dataset.part,
+    title: part.querySelector('.toc-part-title').textContent.trim(),
+    chapters: Array.from(part.querySelectorAll('.toc-chapter')).map(link => ({
+      id: link.dataset.chapter,
+      title: link.querySelector('.toc-chapter-title').textContent.trim(),
+      path: new URL(link.getAttribute('href'), baseUrl).pathname
+    }))
+  }));
+}
+
+async function loadTableOfContents() {
+  if ($('.toc-part')) return parseTableOfContents(document, window.location.href);
+  try {
+    const response = await fetch(TOC_URL);
+    if (!response.ok) throw new Error('Network response was not ok');
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    return parseTableOfContents(doc, TOC_URL);
+  } catch (error) {
+    console.error('Error loading table of contents:', error);
+    return null;
+  }
+}
+
+// Sections of the full chapter text: the opening, then one per h2
+function getChapterSections() {
+  const content = $('.content-full');
+  if (!content) return [];
+  const sections = [{ id: 'intro', title: 'the beginning', start: content }];
+  content.querySelectorAll('h2[id]').forEach(heading => {
+    sections.push({ id: heading.id, title: heading.textContent.trim(), start: heading });
+  });
+  return sections;
+}
+
+function trackChapterScroll(chapterId, sections) {
+  const content = $('.content-full');
+  if (!content || !content.classList.contains('active')) return;
+
+  const readLine = window.innerHeight;
+  const topLine = 80; // below the fixed nav
+  const contentBottom = content.getBoundingClientRect().bottom;
+  const depths = {};
+  let position = null;
+
+  sections.forEach((section, i) => {
+    const top = section.start.getBoundingClientRect().top;
+    const bottom = i < sections.length - 1 ? sections[i + 1].start.getBoundingClientRect().top : contentBottom;
+    const height = Math.max(bottom - top, 1);
+    depths[section.id] = clamp((readLine - top) / height, 0, 1);
+    if (top <= topLine) position = { section: section.id, offset: clamp((topLine - top) / height, 0, 1) };
+  });
+
+  readingProgress.recordScroll(chapterId, depths, position);
+}
+
+function scrollToReadingPosition(sections, position) {
+  const section = sections.find(s => s.id === position.section);
+  if (!section) return;
+  const index = sections.indexOf(section);
+  const top = section.start.getBoundingClientRect().top + window.pageYOffset;
+  const bottom = index < sections.length - 1
+    ? sections[index + 1].start.getBoundingClientRect().top + window.pageYOffset
+    : $('.content-full').getBoundingClientRect().bottom + window.pageYOffset;
+  window.scrollTo({ top: top + position.offset * (bottom - top) - 80, behavior: 'smooth' });
+}
+
+// Offer to jump back to where the reader left off, unless the link already points somewhere
+function showResumePrompt(sections, position) {
+  const toggle = $('.content-toggle');
+  if (!toggle || !position || window.location.hash) return;
+  if (position.section === 'intro' && position.offset < 0.1) return;
+  const section = sections.find(s => s.id === position.section);
+  if (!section) return;
+
+  const callout = createElement('div', 'callout callout-info');
+  const text = document.createElement('p');
+  text.textContent = 'You were reading ' + (section.id === 'intro' ? 'the opening' : '"' + section.title + '"') + '. ';
+  const button = createElement('button', 'btn btn-secondary btn-sm');
+  button.type = 'button';
+  button.textContent = 'Resume where you left off';
+  button.addEventListener('click', () => {
+    const full = $('.content-toggle-btn[data-view="full"]');
+    if (full) full.click();
+    scrollToReadingPosition(sections, position);
+    callout.remove();
+  });
+  text.appendChild(button);
+  callout.appendChild(text);
+  toggle.parentNode.insertBefore(callout, toggle);
+}
+
+function initChapterTracking(chapter) {
+  const sections = getChapterSections();
+  if (!sections.length) return;
+
+  readingProgress.currentChapter = chapter;
+  const entry = readingProgress.chapters[chapter.id];
+  showResumePrompt(sections, entry && entry.position);
+
+  let ticking = false;
+  window.addEventListener('scroll', () => {
+    if (!ticking) {
+      window.requestAnimationFrame(() => {
+        trackChapterScroll(chapter.id, sections);
+        ticking = false;
+      });
+      ticking = true;
+    }
+  });
+  window.addEventListener('pagehide', () => {
+    if (readingProgress.saveTimer) readingProgress.save();
+  });
+}
+
+async function initReadingProgress() {
+  // A chapter page names its chapter on its mark-as-read buttons
+  const markRead = $('[data-mark-read]');
+  if (markRead) initChapterTracking({ id: markRead.dataset.markRead });
+  readingProgress.updateUI();
+
+  // Only part and book totals need the chapter list, so other pages skip the TOC request
+  if (!$('.reading-progress, .reading-progress-label')) return;
+  readingProgress.toc = await loadTableOfContents();
+  if (readingProgress.toc) readingProgress.updateUI();
+}
+
 // ===== Content Toggle =====
 function initContentToggle() {
   const toggleBtns = $$('.content-toggle-btn');
@@ -419,6 +849,275 @@ function scrollToElement(selector, offset = 80) {
   }
 }
 
+// ===== Search =====
+// Chapter headings and paragraphs come from data/search-index.json, which
+// scripts/build-search-index.js builds from the pages
+const searchState = {
+  indexUrl: SITE_ROOT + 'data/search-index.json',
+  index: null,
+  loading: null,
+  maxResults: 8,
+  results: [],
+  active: -1,
+  timer: null
+};
+
+// Too common to narrow a search; still part of a quoted phrase
+const SEARCH_STOP_WORDS = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with'];
+
+function loadSearchIndex() {
+  if (!searchState.loading) {
+    searchState.loading = loadJSON(searchState.indexUrl).then(index => {
+      searchState.index = index && Array.isArray(index.sections) ? index : null;
+      // Let the next search try again if this load failed
+      if (!searchState.index) searchState.loading = null;
+      return searchState.index;
+    });
+  }
+  return searchState.loading;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getSearchTerms(query) {
+  const words = query.toLowerCase().replace(/["“”]/g, ' ').split(/\s+/).filter(Boolean);
+  const terms = words.filter(word => !SEARCH_STOP_WORDS.includes(word));
+  return terms.length ? terms : words;
+}
+
+function getSearchPhrase(query) {
+  return query.toLowerCase().replace(/["“”]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Terms match from the start of a word, so "goal" finds "goalie" but not "ungoaled"
+function getTermSource(term) {
+  return (/^\w/.test(term) ? '\\b' : '') + escapeRegExp(term);
+}
+
+function countMatches(text, term) {
+  return (text.match(new RegExp(getTermSource(term), 'gi')) || []).length;
+}
+
+/**
+ * Rank the sections that contain every term. Matches in a section heading
+ * count most, then the page title, then the body text, with a bonus when
+ * the terms appear together as a phrase.
+ */
+function searchSections(index, query) {
+  const terms = getSearchTerms(query);
+  if (!terms.length) return [];
+  const phrase = getSearchPhrase(query);
+  const results = [];
+
+  index.sections.forEach(section => {
+    const page = index.pages[section.page];
+    if (!page) return;
+
+    let score = 0;
+    const found = terms.every(term => {
+      const inTitle = countMatches(section.title, term);
+      const inPage = countMatches(page.title, term);
+      const inText = countMatches(section.text, term);
+      score += inTitle * 10 + inPage * 3 + Math.min(inText, 10);
+      return inTitle + inPage + inText > 0;
+    });
+    if (!found) return;
+
+    if (phrase.includes(' ')) {
+      if (section.title.toLowerCase().includes(phrase)) score += 30;
+      if (section.text.toLowerCase().includes(phrase)) score += 20;
+    }
+    results.push({ page, section, score });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, searchState.maxResults);
+}
+
+// The whole phrase is tried before its separate terms
+function getHighlightPattern(phrase, terms) {
+  const sources = terms.map(getTermSource);
+  if (phrase.includes(' ')) sources.unshift(getTermSource(phrase));
+  return new RegExp(sources.join('|'), 'gi');
+}
+
+// A stretch of the section text around the phrase, or the first term found
+function getSearchSnippet(text, pattern, length = 160) {
+  const at = Math.max(text.search(pattern), 0);
+
+  let start = Math.max(0, at - 50);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) end = text.lastIndexOf(' ', end) > at ? text.lastIndexOf(' ', end) : end;
+
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+function appendHighlighted(parent, text, pattern) {
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+    const mark = document.createElement('mark');
+    mark.textContent = match[0];
+    parent.appendChild(mark);
+    last = match.index + match[0].length;
+  }
+  parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// Show the content view (full, summary or key concepts) holding a section, then scroll to it
+function scrollToSection(id) {
+  if (!/^[A-Za-z][\w-]*$/.test(id)) return false;
+  const target = document.getElementById(id);
+  if (!target) return false;
+
+  const view = target.closest('.content-full, .content-summary, .content-tools');
+  if (view && !view.classList.contains('active')) {
+    const name = ['full', 'summary', 'tools'].find(v => view.classList.contains('content-' + v));
+    const btn = $(`.content-toggle-btn[data-view="${name}"]`);
+    if (btn) btn.click();
+  }
+  scrollToElement('#' + id);
+  return true;
+}
+
+function closeSearch(input, list) {
+  list.hidden = true;
+  searchState.active = -1;
+  input.setAttribute('aria-expanded', 'false');
+  input.removeAttribute('aria-activedescendant');
+}
+
+function openSearchResult(e, result, input, list) {
+  const target = new URL(SITE_ROOT + result.page.url, window.location.href);
+  if (target.pathname !== window.location.pathname) return;
+
+  // Already on the page: no reload, just jump
+  e.preventDefault();
+  closeSearch(input, list);
+  if (!result.section.id || !scrollToSection(result.section.id)) window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function renderSearchResults(input, list, pattern) {
+  const results = searchState.results;
+  const items = results.map((result, i) => {
+    const link = createElement('a', 'nav-search-result');
+    link.id = 'navSearchResult' + i;
+    link.href = SITE_ROOT + result.page.url + (result.section.id ? '#' + result.section.id : '');
+    link.setAttribute('role', 'option');
+
+    const title = createElement('span', 'nav-search-result-title');
+    const sectionTitle = result.section.title && result.section.title !== result.page.title ? ' › ' + result.section.title : '';
+    title.textContent = result.page.title + sectionTitle;
+    const snippet = createElement('span', 'nav-search-result-snippet');
+    appendHighlighted(snippet, getSearchSnippet(result.section.text, pattern), pattern);
+
+    link.append(title, snippet);
+    link.addEventListener('click', e => openSearchResult(e, result, input, list));
+    return link;
+  });
+
+  if (!items.length) {
+    items.push(createElement('p', 'nav-search-empty'));
+    items[0].textContent = 'No matches for "' + input.value.trim() + '"';
+  }
+  list.replaceChildren(...items);
+  list.hidden = false;
+  input.setAttribute('aria-expanded', 'true');
+}
+
+async function runSearch(input, list) {
+  const query = input.value.trim();
+  if (query.length < 2) {
+    closeSearch(input, list);
+    return;
+  }
+
+  const index = await loadSearchIndex();
+  // A newer query replaced this one while the index loaded
+  if (input.value.trim() !== query) return;
+
+  if (!index) {
+    searchState.results = [];
+    list.replaceChildren(createElement('p', 'nav-search-empty', 'Search is unavailable right now.'));
+    list.hidden = false;
+    return;
+  }
+  searchState.results = searchSections(index, query);
+  searchState.active = -1;
+  renderSearchResults(input, list, getHighlightPattern(getSearchPhrase(query), getSearchTerms(query)));
+}
+
+function setActiveResult(input, list, index) {
+  const links = list.querySelectorAll('.nav-search-result');
+  if (!links.length) return;
+  searchState.active = (index + links.length) % links.length;
+  links.forEach((link, i) => link.classList.toggle('active', i === searchState.active));
+  input.setAttribute('aria-activedescendant', links[searchState.active].id);
+  links[searchState.active].scrollIntoView({ block: 'nearest' });
+}
+
+function initSearch() {
+  const container = $('.nav-container');
+  if (!container) return;
+
+  const wrapper = createElement('div', 'nav-search');
+  wrapper.setAttribute('role', 'search');
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.placeholder = 'Search the book';
+  input.autocomplete = 'off';
+  input.setAttribute('aria-label', 'Search chapters and tools');
+  input.setAttribute('aria-controls', 'navSearchResults');
+  input.setAttribute('aria-expanded', 'false');
+  const list = createElement('div', 'nav-search-results');
+  list.id = 'navSearchResults';
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  wrapper.append(input, list);
+  container.insertBefore(wrapper, $('.nav-toggle') || null);
+
+  input.addEventListener('focus', loadSearchIndex);
+  input.addEventListener('input', () => {
+    clearTimeout(searchState.timer);
+    searchState.timer = setTimeout(() => runSearch(input, list), 150);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveResult(input, list, searchState.active + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter') {
+      const links = list.querySelectorAll('.nav-search-result');
+      const link = links[Math.max(searchState.active, 0)];
+      if (link && !list.hidden) {
+        e.preventDefault();
+        link.click();
+      }
+    } else if (e.key === 'Escape') {
+      closeSearch(input, list);
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!wrapper.contains(e.target)) closeSearch(input, list);
+  });
+}
+
+// Jump to a section named in the address, even if it sits in a hidden view
+function initHashTarget() {
+  let id;
+  try {
+    id = decodeURIComponent(window.location.hash.slice(1));
+  } catch (e) {
+    // A malformed hash such as #% names no section
+    return;
+  }
+  if (id) scrollToSection(id);
+}
+
 // ===== Data Loading =====
 async function loadJSON(url) {
   try {
@@ -431,6 +1130,411 @@ async function loadJSON(url) {
   }
 }
 
+// ===== File Downloads =====
+function downloadFile(filename, content, mimeType = 'text/plain') {
+  try {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  } catch (e) {
+    console.error('Error downloading file:', e);
+    return false;
+  }
+}
+
+function escapeCSV(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// ===== Progress Export / Import =====
+// Everything under STORAGE_PREFIX goes into one file so progress can move
+// between browsers. The file carries a SHA-256 checksum of its contents so a
+// truncated or damaged export is refused rather than merged. The checksum has
+// no key: it does not stop anyone from editing a file and recomputing it.
+const EXPORT_FORMAT = 'bfi-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+// Keys holding one record per chapter, question or scenario, merged record by
+// record with the newer one winning; other keys keep whichever entry is newer
+const STORAGE_RECORD_TIMES = {
+  reading_progress: record => record.lastVisited || record.timestamp || 0,
+  quiz_history: record => record.lastSeen || 0,
+  quiz_results: record => record.date || 0,
+  // Deleted scenarios stay behind as { id, deleted, modifiedAt } so an import cannot bring them back
+  portfolio_scenarios: record => record.modifiedAt || 0
+};
+
+// Records that combine both copies instead of keeping the newer one whole
+const STORAGE_RECORD_COMBINERS = {
+  reading_progress: combineReadingRecords
+};
+
+// A chapter read on either device stays read, and each section keeps the
+// deepest scroll from either; the newer copy supplies the resume position
+function combineReadingRecords(local, incoming) {
+  const time = STORAGE_RECORD_TIMES.reading_progress;
+  const [older, newer] = time(incoming) > time(local) ? [local, incoming] : [incoming, local];
+  const sections = { ...older.sections };
+  Object.entries(newer.sections || {}).forEach(([id, depth]) => {
+    sections[id] = Math.max(sections[id] || 0, depth);
+  });
+
+  const combined = { ...older, ...newer, completed: !!(local.completed || incoming.completed) };
+  if (Object.keys(sections).length) combined.sections = sections;
+  const completedAt = [local, incoming].filter(r => r.completed).map(r => r.timestamp || 0);
+  if (completedAt.length) combined.timestamp = Math.max(...completedAt);
+  return combined;
+}
+
+function readStorageEntries() {
+  const entries = {};
+  Object.keys(localStorage)
+    .filter(key => key.startsWith(STORAGE_PREFIX))
+    .forEach(key => {
+      try {
+        entries[key.slice(STORAGE_PREFIX.length)] = JSON.parse(localStorage.getItem(key));
+      } catch (e) {
+        console.error('Skipping unreadable storage entry:', key);
+      }
+    });
+  return entries;
+}
+
+// JSON with object keys sorted, so a file re-saved by another tool keeps its checksum
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return '[' + value.map(item => item === undefined ? 'null' : canonicalJSON(item)).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+// crypto.subtle only exists on secure origins (https or localhost)
+function canChecksumExports() {
+  return !!(window.crypto && window.crypto.subtle);
+}
+
+async function checksumExport(payload) {
+  const bytes = new TextEncoder().encode(canonicalJSON(payload));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function exportUserData() {
+  const payload = {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    storageVersion: STORAGE_VERSION,
+    exportedAt: Date.now(),
+    entries: readStorageEntries()
+  };
+  const file = { ...payload, checksum: await checksumExport(payload) };
+  downloadFile('bfi-progress-' + new Date().toISOString().slice(0, 10) + '.json', JSON.stringify(file, null, 2), 'application/json');
+  return Object.keys(payload.entries).length;
+}
+
+// Local records keep their order; records new to this browser follow
+function mergeRecords(local, incoming, getTime, combine) {
+  const byId = Array.isArray(local);
+  const toMap = value => byId
+    ? Object.fromEntries((Array.isArray(value) ? value : []).map(record => [record.id, record]))
+    : { ...value };
+
+  const merged = toMap(local);
+  Object.entries(toMap(incoming)).forEach(([id, record]) => {
+    if (!merged[id]) merged[id] = record;
+    else if (combine) merged[id] = combine(merged[id], record);
+    else if (getTime(record) > getTime(merged[id])) merged[id] = record;
+  });
+  return byId ? Object.values(merged) : merged;
+}
+
+function mergeStorageEntry(key, local, incoming) {
+  const getTime = STORAGE_RECORD_TIMES[key];
+  if (!getTime || !local.data || typeof local.data !== 'object' || !incoming.data || typeof incoming.data !== 'object') {
+    return incoming.timestamp > local.timestamp ? incoming : local;
+  }
+  return {
+    version: STORAGE_VERSION,
+    timestamp: Math.max(local.timestamp, incoming.timestamp),
+    data: mergeRecords(local.data, incoming.data, getTime, STORAGE_RECORD_COMBINERS[key])
+  };
+}
+
+/**
+ * Check an export file's checksum, migrate its entries and merge them into
+ * this browser's storage. Returns the keys added and merged, or the errors
+ * that stopped the import.
+ */
+async function importUserData(text) {
+  const errors = [];
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { errors: ['The file is not valid JSON.'] };
+  }
+
+  if (!file || file.format !== EXPORT_FORMAT || !file.entries || typeof file.entries !== 'object') {
+    return { errors: ['This is not a Bitcoin for Institutions progress export.'] };
+  }
+  if (file.formatVersion > EXPORT_FORMAT_VERSION) {
+    return { errors: ['This export comes from a newer version of the site and cannot be imported here.'] };
+  }
+
+  if (!canChecksumExports()) {
+    return { errors: ['Importing needs a secure connection. Open the site over https and try again.'] };
+  }
+  const { checksum, ...payload } = file;
+  if (checksum !== await checksumExport(payload)) {
+    return { errors: ['The file checksum does not match its contents. It may be damaged or incomplete.'] };
+  }
+
+  const local = readStorageEntries();
+  const added = [];
+  const merged = [];
+  Object.entries(file.entries).forEach(([key, entry]) => {
+    let incoming;
+    let current;
+    try {
+      incoming = migrateStorageEntry(key, entry);
+      current = local[key] && migrateStorageEntry(key, local[key]);
+    } catch (e) {
+      errors.push('Skipped "' + key + '": its data could not be upgraded (' + e.message + ').');
+      return;
+    }
+    if (!incoming || (local[key] && !current)) {
+      errors.push('Skipped "' + key + '": saved by a newer version of the site.');
+      return;
+    }
+    const result = current ? mergeStorageEntry(key, current, incoming) : incoming;
+
+    try {
+      localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(result));
+      (current ? merged : added).push(key);
+    } catch (e) {
+      errors.push('Could not save "' + key + '": browser storage is full or unavailable.');
+    }
+  });
+
+  readingProgress.chapters = loadFromStorage('reading_progress', {});
+  readingProgress.updateUI();
+  renderStorageDiagnostics();
+  return { added, merged, errors };
+}
+
+function showDataTransferStatus(message, isError = false) {
+  const status = document.getElementById('dataTransferStatus');
+  if (!status) return;
+  status.textContent = message;
+  status.style.display = message ? 'block' : 'none';
+  status.style.color = isError ? 'var(--error)' : '';
+}
+
+function renderStorageDiagnostics() {
+  const tbody = document.getElementById('storageDiagnostics');
+  if (!tbody) return;
+
+  const { entries, fallback, totalSize, limit, available } = getStorageDiagnostics();
+  const formatSize = size => formatNumber(size / 1000, 1) + ' KB';
+  const formatTime = time => time ? new Date(time).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '-';
+
+  const rows = entries.map((entry, i) => {
+    const row = document.createElement('tr');
+    if (i < entries.length - 1) row.style.borderBottom = '1px solid var(--bg-hover)';
+    [entry.key, entry.version, formatSize(entry.size), formatTime(entry.timestamp), entry.status].forEach((value, col) => {
+      const td = document.createElement('td');
+      td.style.padding = 'var(--space-sm)';
+      td.style.textAlign = col === 2 ? 'right' : 'left';
+      td.textContent = value;
+      if (col === 4 && value !== 'Current') td.style.color = 'var(--warning)';
+      row.appendChild(td);
+    });
+    return row;
+  });
+  tbody.replaceChildren(...rows);
+
+  const usage = Math.min((totalSize / limit) * 100, 100);
+  const fill = document.getElementById('storageUsageFill');
+  if (fill) fill.style.width = usage + '%';
+  const label = document.getElementById('storageUsage');
+  if (label) {
+    label.textContent = available
+      ? formatSize(totalSize) + ' of ' + formatSize(limit) + ' used (' + formatPercent(usage, 1) + ') across ' +
+        entries.length + ' stored item' + (entries.length === 1 ? '' : 's') + ', stored format ' + STORAGE_VERSION + '.'
+      : 'Browser storage is unavailable here, so progress cannot be saved or inspected. It may be blocked by privacy settings.';
+  }
+
+  const fallbackNote = document.getElementById('storageFallback');
+  if (fallbackNote) {
+    fallbackNote.style.display = fallback.length ? 'block' : 'none';
+    fallbackNote.textContent = fallback.length
+      ? fallback.length + ' item' + (fallback.length === 1 ? ' was' : 's were') + ' set aside because ' + (fallback.length === 1 ? 'it' : 'they') +
+        ' could not be loaded: ' + fallback.map(f => f.key + ' (' + f.reason + ', ' + formatSize(f.size) + ')').join('; ') + '.'
+      : '';
+  }
+  const clearFallback = document.getElementById('clearStorageFallback');
+  if (clearFallback) clearFallback.style.display = fallback.length ? '' : 'none';
+}
+
+function initDataTransfer() {
+  const exportBtn = document.getElementById('exportData');
+  const importInput = document.getElementById('importData');
+
+  if (exportBtn) {
+    exportBtn.addEventListener('click', async () => {
+      if (!canChecksumExports()) {
+        showDataTransferStatus('Exporting needs a secure connection. Open the site over https and try again.', true);
+        return;
+      }
+      try {
+        const count = await exportUserData();
+        showDataTransferStatus('Exported ' + count + ' saved item' + (count === 1 ? '' : 's') + '.');
+      } catch (e) {
+        console.error('Error exporting data:', e);
+        showDataTransferStatus('Export failed: the file could not be created.', true);
+      }
+    });
+  }
+
+  const detailsBtn = document.getElementById('toggleStorageDetails');
+  const details = document.getElementById('storageDetails');
+  if (detailsBtn && details) {
+    detailsBtn.addEventListener('click', () => {
+      const open = details.style.display === 'none';
+      details.style.display = open ? 'block' : 'none';
+      detailsBtn.textContent = open ? 'Hide Storage Details' : 'Storage Details';
+      detailsBtn.setAttribute('aria-expanded', open);
+      if (open) renderStorageDiagnostics();
+    });
+  }
+
+  const clearFallback = document.getElementById('clearStorageFallback');
+  if (clearFallback) {
+    clearFallback.addEventListener('click', () => {
+      clearStorageFallback();
+      renderStorageDiagnostics();
+    });
+  }
+
+  if (importInput) {
+    importInput.addEventListener('change', async (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      try {
+        const { added = [], merged = [], errors } = await importUserData(await file.text());
+        const summary = added.length + merged.length
+          ? 'Imported ' + added.length + ' new and merged ' + merged.length + ' existing item' + (merged.length === 1 ? '' : 's') + '.'
+          : '';
+        showDataTransferStatus([summary].concat(errors).filter(Boolean).join(' '), errors.length > 0 && !summary);
+      } catch (err) {
+        console.error('Error importing data:', err);
+        showDataTransferStatus('Import failed: the file could not be read.', true);
+      }
+      // Allow the same file to be chosen again
+      e.target.value = '';
+    });
+  }
+}
+
+// ===== Shareable URL State =====
+// Tools keep their inputs in the URL hash as #scenario=<base64url JSON>,
+// so a copied link reopens the tool exactly as the sender left it.
+const URL_STATE_PARAM = 'scenario';
+
+function encodeUrlState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeUrlState(encoded) {
+  try {
+    const binary = atob(String(encoded).replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    const state = JSON.parse(new TextDecoder().decode(bytes));
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : null;
+  } catch (e) {
+    console.warn('Ignoring unreadable scenario in URL:', e);
+    return null;
+  }
+}
+
+function readUrlState() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const encoded = params.get(URL_STATE_PARAM);
+  return encoded ? decodeUrlState(encoded) : null;
+}
+
+function getShareUrl(state) {
+  const { origin, pathname, search } = window.location;
+  return origin + pathname + search + '#' + URL_STATE_PARAM + '=' + encodeUrlState(state);
+}
+
+// Replace the URL without adding a history entry for every input change
+function writeUrlState(state) {
+  try {
+    const { pathname, search } = window.location;
+    history.replaceState(null, '', pathname + search + '#' + URL_STATE_PARAM + '=' + encodeUrlState(state));
+  } catch (e) {
+    console.error('Error writing scenario to URL:', e);
+  }
+}
+
+async function copyShareLink(state, button) {
+  const url = getShareUrl(state);
+  let copied = false;
+  try {
+    if (navigator.clipboard) {
+      await navigator.clipboard.writeText(url);
+      copied = true;
+    }
+  } catch (e) {
+    console.warn('Clipboard unavailable:', e);
+  }
+  if (!copied) {
+    // Let the user copy it by hand
+    window.prompt('Copy this link:', url);
+  }
+
+  if (button && copied) {
+    const original = button.textContent;
+    button.textContent = 'Link Copied';
+    setTimeout(() => { button.textContent = original; }, 2000);
+  }
+  return url;
+}
+
+/**
+ * Connect a tool to the URL. tool.getState() returns a plain object of its
+ * inputs; tool.applyState(state) restores one (and must tolerate bad or
+ * partial input, since links are user-editable). Any state in the URL is
+ * applied here, and every [data-copy-link] button copies a link to the
+ * current state. Returns true when a state was found and applied.
+ */
+function initUrlState(tool) {
+  $$('[data-copy-link]').forEach(button => {
+    button.addEventListener('click', () => copyShareLink(tool.getState(), button));
+  });
+
+  const state = readUrlState();
+  if (!state) return false;
+  tool.applyState(state);
+  return true;
+}
+
 // ===== Chart Helpers =====
 const chartColors = {
   bitcoin: '#F7931A',
@@ -485,12 +1589,47 @@ const defaultChartOptions = {
 
 // ===== Bitcoin Data (sample for demos) =====
 const sampleBitcoinData = {
-  // Major drawdowns with approximate dates
-  drawdowns: [
-    { start: '2011-06-08', peak: 31.91, trough: 2.05, end: '2013-02-28', recovery: 626 },
-    { start: '2013-11-30', peak: 1163, trough: 152, end: '2017-01-04', recovery: 1131 },
-    { start: '2017-12-17', peak: 19783, trough: 3122, end: '2020-11-30', recovery: 1078 },
-    { start: '2021-11-10', peak: 68789, trough: 15476, end: '2024-03-05', recovery: 845 }
+  // Approximate USD closes: month ends plus the dates of major peaks,
+  // troughs and recoveries, so drawdowns can be measured from the series
+  prices: [
+    ['2010-07-31', 0.07], ['2010-08-31', 0.06], ['2010-09-30', 0.06], ['2010-10-31', 0.19], ['2010-11-30', 0.21], ['2010-12-31', 0.30],
+    ['2011-01-31', 0.52], ['2011-02-28', 0.86], ['2011-03-31', 0.78], ['2011-04-30', 3.50], ['2011-05-31', 8.74], ['2011-06-08', 31.91],
+    ['2011-06-30', 16.10], ['2011-07-31', 13.35], ['2011-08-31', 8.19], ['2011-09-30', 5.14], ['2011-10-31', 3.25], ['2011-11-18', 2.05],
+    ['2011-11-30', 2.97], ['2011-12-31', 4.72],
+    ['2012-01-31', 5.48], ['2012-02-29', 4.86], ['2012-03-31', 4.90], ['2012-04-30', 4.95], ['2012-05-31', 5.17], ['2012-06-30', 6.68],
+    ['2012-07-31', 9.35], ['2012-08-31', 10.15], ['2012-09-30', 12.40], ['2012-10-31', 11.20], ['2012-11-30', 12.57], ['2012-12-31', 13.45],
+    ['2013-01-31', 20.41], ['2013-02-28', 33.38], ['2013-03-31', 93.03], ['2013-04-09', 230.00], ['2013-04-16', 68.36], ['2013-04-30', 139.00],
+    ['2013-05-31', 128.80], ['2013-06-30', 96.61], ['2013-07-31', 106.09], ['2013-08-31', 141.00], ['2013-09-30', 133.00], ['2013-10-31', 198.00],
+    ['2013-11-07', 260.00], ['2013-11-30', 1163], ['2013-12-31', 754],
+    ['2014-01-31', 829], ['2014-02-28', 573], ['2014-03-31', 458], ['2014-04-30', 447], ['2014-05-31', 628], ['2014-06-30', 640],
+    ['2014-07-31', 589], ['2014-08-31', 478], ['2014-09-30', 387], ['2014-10-31', 338], ['2014-11-30', 378], ['2014-12-31', 320],
+    ['2015-01-14', 152], ['2015-01-31', 217], ['2015-02-28', 254], ['2015-03-31', 244], ['2015-04-30', 236], ['2015-05-31', 230],
+    ['2015-06-30', 263], ['2015-07-31', 284], ['2015-08-31', 230], ['2015-09-30', 236], ['2015-10-31', 314], ['2015-11-30', 377],
+    ['2015-12-31', 430],
+    ['2016-01-31', 369], ['2016-02-29', 437], ['2016-03-31', 416], ['2016-04-30', 448], ['2016-05-31', 531], ['2016-06-30', 673],
+    ['2016-07-31', 624], ['2016-08-31', 575], ['2016-09-30', 609], ['2016-10-31', 698], ['2016-11-30', 742], ['2016-12-31', 964],
+    ['2017-01-04', 1170], ['2017-01-31', 970], ['2017-02-28', 1190], ['2017-03-31', 1080], ['2017-04-30', 1348], ['2017-05-31', 2286],
+    ['2017-06-30', 2480], ['2017-07-31', 2875], ['2017-08-31', 4703], ['2017-09-30', 4338], ['2017-10-31', 6468], ['2017-11-30', 9947],
+    ['2017-12-17', 19783], ['2017-12-31', 14156],
+    ['2018-01-31', 10221], ['2018-02-28', 10397], ['2018-03-31', 6973], ['2018-04-30', 9240], ['2018-05-31', 7495], ['2018-06-30', 6404],
+    ['2018-07-31', 7780], ['2018-08-31', 7037], ['2018-09-30', 6625], ['2018-10-31', 6318], ['2018-11-30', 4017], ['2018-12-15', 3122],
+    ['2018-12-31', 3742],
+    ['2019-01-31', 3457], ['2019-02-28', 3854], ['2019-03-31', 4105], ['2019-04-30', 5350], ['2019-05-31', 8574], ['2019-06-30', 10817],
+    ['2019-07-31', 10085], ['2019-08-31', 9630], ['2019-09-30', 8294], ['2019-10-31', 9199], ['2019-11-30', 7569], ['2019-12-31', 7193],
+    ['2020-01-31', 9350], ['2020-02-29', 8600], ['2020-03-12', 4970], ['2020-03-31', 6438], ['2020-04-30', 8658], ['2020-05-31', 9461],
+    ['2020-06-30', 9137], ['2020-07-31', 11323], ['2020-08-31', 11680], ['2020-09-30', 10784], ['2020-10-31', 13781], ['2020-11-30', 19800],
+    ['2020-12-31', 28949],
+    ['2021-01-31', 33114], ['2021-02-28', 45137], ['2021-03-31', 58918], ['2021-04-13', 63503], ['2021-04-30', 57750], ['2021-05-31', 37332],
+    ['2021-06-30', 35041], ['2021-07-20', 29790], ['2021-07-31', 41626], ['2021-08-31', 47166], ['2021-09-30', 43790], ['2021-10-20', 65992],
+    ['2021-10-31', 61318], ['2021-11-10', 68789], ['2021-11-30', 57005], ['2021-12-31', 46306],
+    ['2022-01-31', 38483], ['2022-02-28', 43194], ['2022-03-31', 45538], ['2022-04-30', 37714], ['2022-05-31', 31792], ['2022-06-30', 19785],
+    ['2022-07-31', 23337], ['2022-08-31', 20050], ['2022-09-30', 19432], ['2022-10-31', 20496], ['2022-11-21', 15476], ['2022-11-30', 17168],
+    ['2022-12-31', 16548],
+    ['2023-01-31', 23139], ['2023-02-28', 23147], ['2023-03-31', 28478], ['2023-04-30', 29268], ['2023-05-31', 27219], ['2023-06-30', 30477],
+    ['2023-07-31', 29230], ['2023-08-31', 25931], ['2023-09-30', 26968], ['2023-10-31', 34668], ['2023-11-30', 37713], ['2023-12-31', 42265],
+    ['2024-01-31', 42582], ['2024-02-29', 61198], ['2024-03-05', 69000], ['2024-03-13', 73084], ['2024-03-31', 71334], ['2024-04-30', 60637],
+    ['2024-05-31', 67491], ['2024-06-30', 62678], ['2024-07-31', 64619], ['2024-08-05', 54018], ['2024-08-31', 58969], ['2024-09-30', 63329],
+    ['2024-10-31', 70215], ['2024-11-30', 96449], ['2024-12-17', 106140], ['2024-12-31', 93429]
   ],
 
   // Approximate yearly returns
@@ -512,17 +1651,28 @@ const sampleBitcoinData = {
   }
 };
 
+// Major drawdowns (>50%) derived from the price series
+sampleBitcoinData.drawdowns = findDrawdowns(sampleBitcoinData.prices, 50);
+
 // ===== Mark as Read Button Handler =====
+function showMarkedAsRead(chapterId) {
+  $$('[data-mark-read]').forEach(btn => {
+    if (btn.dataset.markRead !== chapterId) return;
+    btn.textContent = 'Marked as Read';
+    btn.disabled = true;
+  });
+}
+
 function initMarkAsReadButtons() {
   const buttons = $$('[data-mark-read]');
   buttons.forEach(btn => {
+    if (readingProgress.isRead(btn.dataset.markRead)) showMarkedAsRead(btn.dataset.markRead);
     btn.addEventListener('click', (e) => {
       const chapterId = btn.dataset.markRead;
       if (chapterId && readingProgress) {
         try {
           readingProgress.markRead(chapterId);
-          btn.textContent = 'Marked as Read';
-          btn.disabled = true;
+          showMarkedAsRead(chapterId);
         } catch (err) {
           console.error('Error marking chapter as read:', err);
         }
@@ -534,10 +1684,13 @@ function initMarkAsReadButtons() {
 // ===== Initialize =====
 document.addEventListener('DOMContentLoaded', () => {
   initNavigation();
+  initSearch();
   initContentToggle();
+  initHashTarget();
   initScrollAnimations();
   initMarkAsReadButtons();
-  readingProgress.updateUI();
+  initReadingProgress();
+  initDataTransfer();
 });
 
 // ===== Exports for modules =====
@@ -556,16 +1709,35 @@ window.BFI = {
   clamp,
   lerp,
   randomInt,
+  createRandom,
+  randomNormal,
   calculateCAGR,
   calculateSharpeRatio,
   calculateMaxDrawdown,
+  calculateUnderwater,
+  findDrawdowns,
+  daysBetween,
   calculateVolatility,
   saveToStorage,
   loadFromStorage,
   removeFromStorage,
+  registerStorageMigration,
+  getStorageDiagnostics,
+  exportUserData,
+  importUserData,
   readingProgress,
+  loadTableOfContents,
   scrollToElement,
+  scrollToSection,
+  searchSections,
   loadJSON,
+  downloadFile,
+  escapeCSV,
+  readUrlState,
+  writeUrlState,
+  getShareUrl,
+  copyShareLink,
+  initUrlState,
   chartColors,
   defaultChartOptions,
   sampleBitcoinData
@@ -6,17 +6,114 @@
 // Portfolio Calculator State
 const portfolioCalc = {
   portfolioSize: 1000000,
-  stockAllocation: 60,
-  bondAllocation: 40,
-  btcAllocation: 0,
   timeHorizon: 10,
   startYear: 2014,
 
+  // Holdings in display order; weights are whole percentages summing to 100
+  assets: [
+    { id: 'stocks', weight: 60 },
+    { id: 'bonds', weight: 40 },
+    { id: 'bitcoin', weight: 0 }
+  ],
+
+  // Policy portfolios the allocation is compared against; the first is the
+  // primary benchmark shown in the side-by-side metrics and Monte Carlo view
+  benchmarks: [
+    { name: '60/40 Portfolio', weights: { stocks: 60, bonds: 40 } }
+  ],
+  defaultBenchmark: { name: '60/40 Portfolio', weights: { stocks: 60, bonds: 40 } },
+  benchmarkPresets: {
+    '6040': { name: '60/40 Portfolio', weights: { stocks: 60, bonds: 40 } },
+    '7030': { name: '70/30 Portfolio', weights: { stocks: 70, bonds: 30 } },
+    'equities': { name: '100% Equities', weights: { stocks: 100 } },
+    'endowment': { // liquid proxies for a typical endowment policy portfolio
+      name: 'Endowment Model',
+      weights: { stocks: 45, bonds: 15, reits: 15, commodities: 10, gold: 5, cash: 10 }
+    }
+  },
+  maxBenchmarks: 4,
+  benchmarkColors: ['#8B949E', '#C9D1D9', '#6E7681', '#D2A8FF'],
+
+  // Simulation mode: replay the historical path or sample many paths
+  simulationMode: 'historical', // 'historical' | 'montecarlo'
+  mcMethod: 'bootstrap', // 'bootstrap' | 'parametric'
+  mcPaths: 2000,
+  mcSeed: 42,
+
+  // Rebalancing policy applied to both portfolios
+  rebalancePolicy: 'annual', // 'none' | 'annual' | 'quarterly' | 'threshold'
+  rebalanceBand: 5, // percentage points of drift allowed under 'threshold'
+  subStepsPerYear: 4, // annual returns are split into quarters so drift can be checked intra-year
+
+  // Return resolution: the path, volatility, Sharpe and drawdown are computed at this frequency
+  resolution: 'monthly', // 'annual' | 'monthly' | 'daily'
+
+  // Recurring cash flows, paid at month ends (or year ends when annual).
+  // Fixed amounts are per payment; percentages are an annual rate of the
+  // portfolio's value, split across monthly payments.
+  cashFlowType: 'none', // 'none' | 'contribution' | 'withdrawal'
+  cashFlowAmountType: 'fixed', // 'fixed' | 'percent'
+  cashFlowAmount: 0,
+  cashFlowFrequency: 'annual', // 'monthly' | 'annual'
+
+  // Dollar-cost averaging: reach the target weight of dcaAsset in equal
+  // monthly tranches, holding the rest in the other assets meanwhile
+  dcaAsset: 'bitcoin',
+  dcaMonths: 0, // 0 means invest the lump sum at once
+  maxDcaMonths: 120,
+
+  // Nominal dollars, or real dollars of the start year deflated by CPI
+  returnMode: 'nominal', // 'nominal' | 'real'
+  riskFreeRate: 2, // nominal, percent per year; converted to real in real mode
+
+  // Stress test: every drawdown in sampleBitcoinData is replayed on the
+  // allocation together with user-defined shocks, flagging losses beyond
+  // maxLossLimit (percent of the portfolio)
+  maxLossLimit: 20,
+  customShocks: [], // [{ name, shocks: { assetId: percent } }]
+  maxCustomShocks: 5,
+  // Approximate moves of the other assets from each bitcoin peak to its
+  // trough, keyed by the peak date; assets not listed are taken as flat
+  episodeShocks: {
+    '2011-06-08': { stocks: -5, bonds: 4, gold: 11, reits: -8, commodities: -10 },
+    '2013-04-09': { gold: -13, commodities: -5 },
+    '2013-11-30': { stocks: 14, bonds: 6, gold: -2, reits: 25, commodities: -35 },
+    '2017-12-17': { stocks: -1, bonds: -1, gold: -1, reits: -8, commodities: -10, cash: 2 },
+    '2021-04-13': { stocks: 5, bonds: 1, gold: 4, reits: 12, commodities: 10 },
+    '2021-11-10': { stocks: -13, bonds: -14, gold: -6, reits: -20, commodities: 12, cash: 1 }
+  },
+
   // Validation constants
   minPortfolioSize: 10000,
   maxPortfolioSize: 1000000000,
   minAllocation: 0,
   maxAllocation: 100,
+  minPaths: 100,
+  maxPaths: 10000,
+  maxMonteCarloHorizon: 30,
+  historicalYears: 10, // years the last historical replay covered; a Monte Carlo horizon may run past the data
+  percentiles: [5, 25, 50, 75, 95],
+  minBand: 1,
+  maxBand: 50,
+
+  // Assets that can be added to the portfolio; imported datasets may add more
+  assetCatalog: {
+    stocks: { label: 'Stocks', color: '#58A6FF' },
+    bonds: { label: 'Bonds', color: '#A371F7' },
+    bitcoin: { label: 'Bitcoin', color: '#F7931A', maxWeight: 50 },
+    gold: { label: 'Gold', color: '#D29922' },
+    cash: { label: 'Cash / T-Bills', color: '#8B949E' },
+    reits: { label: 'REITs', color: '#3FB950' },
+    commodities: { label: 'Commodities', color: '#F85149' }
+  },
+  assetPalette: ['#79C0FF', '#D2A8FF', '#7EE787', '#FFA657', '#FF7B72', '#E3B341'],
+
+  rebalancePolicies: {
+    none: 'Never (Buy & Hold)',
+    annual: 'Annual',
+    quarterly: 'Quarterly',
+    threshold: 'Threshold Bands'
+  },
 
   // Historical annual returns (approximate)
   historicalReturns: {
@@ -31,7 +128,104 @@ const portfolioCalc = {
     bitcoin: {
       2014: -58, 2015: 35, 2016: 125, 2017: 1318, 2018: -73,
       2019: 95, 2020: 301, 2021: 60, 2022: -65, 2023: 155, 2024: 120
+    },
+    gold: { // Spot gold
+      2014: -1.5, 2015: -10.4, 2016: 8.6, 2017: 13.1, 2018: -1.6,
+      2019: 18.3, 2020: 25.1, 2021: -3.6, 2022: -0.3, 2023: 13.1, 2024: 27.2
+    },
+    cash: { // 3-month T-bills
+      2014: 0.03, 2015: 0.05, 2016: 0.3, 2017: 0.9, 2018: 1.9,
+      2019: 2.3, 2020: 0.6, 2021: 0.05, 2022: 1.5, 2023: 5.1, 2024: 5.3
+    },
+    reits: { // US equity REITs
+      2014: 28.0, 2015: 2.8, 2016: 8.5, 2017: 8.7, 2018: -4.0,
+      2019: 28.7, 2020: -5.1, 2021: 41.3, 2022: -24.9, 2023: 11.4, 2024: 4.9
+    },
+    commodities: { // Broad commodity index
+      2014: -17.0, 2015: -24.7, 2016: 11.8, 2017: 1.7, 2018: -11.2,
+      2019: 7.7, 2020: -3.1, 2021: 27.1, 2022: 16.1, 2023: -7.9, 2024: 5.4
     }
+  },
+
+  // Historical monthly total returns (approximate), January to December.
+  // Each year compounds to its figure in historicalReturns. Assets without
+  // monthly data spread their annual return evenly across the months.
+  monthlyReturns: {
+    stocks: { // S&P 500
+      2014: [-3.48, 4.62, 0.82, 0.72, 2.32, 2.12, -1.38, 4.02, -1.38, 2.42, 2.72, -0.28],
+      2015: [-3, 5.7, -1.6, 1, 1.3, -1.9, 2.1, -6, -2.5, 8.4, 0.3, -1.6],
+      2016: [-5, -0.1, 6.8, 0.4, 1.8, 0.3, 3.7, 0.1, 0, -1.8, 3.7, 2],
+      2017: [1.9, 4, 0.1, 1, 1.4, 0.6, 2.1, 0.3, 2.1, 2.3, 3.1, 1.1],
+      2018: [5.69, -3.71, -2.51, 0.39, 2.39, 0.59, 3.69, 3.29, 0.59, -6.81, 1.99, -9.01],
+      2019: [8.02, 3.22, 1.92, 4.02, -6.38, 7.02, 1.42, -1.58, 1.92, 2.22, 3.62, 3.02],
+      2020: [-0.17, -8.18, -12.38, 12.83, 4.83, 2.03, 5.63, 7.23, -3.78, -2.68, 10.93, 3.83],
+      2021: [-1, 2.8, 4.4, 5.3, 0.7, 2.3, 2.4, 3, -4.7, 7, -0.7, 4.5],
+      2022: [-5.19, -2.99, 3.71, -8.69, 0.21, -8.29, 9.21, -4.09, -9.19, 8.11, 5.61, -5.79],
+      2023: [6.3, -2.4, 3.7, 1.6, 0.4, 6.6, 3.2, -1.6, -4.8, -2.1, 9.1, 4.5],
+      2024: [1.7, 5.3, 3.2, -4.1, 5, 3.6, 1.2, 2.4, 2.1, -0.9, 5.9, -2.4]
+    },
+    bonds: { // AGG
+      2014: [1.51, 0.51, -0.19, 0.81, 1.11, 0.11, -0.29, 1.11, -0.69, 1.01, 0.71, 0.11],
+      2015: [2.09, -0.91, 0.49, -0.41, -0.21, -1.11, 0.69, -0.11, 0.69, -0.01, -0.31, -0.31],
+      2016: [1.38, 0.68, 0.88, 0.38, -0.02, 1.78, 0.58, -0.12, 0.28, -0.82, -2.42, 0.08],
+      2017: [0.2, 0.7, -0.1, 0.8, 0.7, -0.1, 0.4, 0.9, -0.5, 0.1, -0.1, 0.4],
+      2018: [-1.2, -0.9, 0.6, -0.7, 0.7, -0.1, 0, 0.6, -0.6, -0.8, 0.6, 1.8],
+      2019: [1.1, -0.1, 1.9, 0, 1.8, 1.3, 0.2, 2.6, -0.5, 0.3, -0.1, -0.1],
+      2020: [1.91, 1.81, -0.59, 1.81, 0.51, 0.61, 1.51, -0.79, -0.09, -0.49, 1.01, 0.11],
+      2021: [-0.7, -1.4, -1.2, 0.8, 0.3, 0.7, 1.1, -0.2, -0.9, 0, 0.3, -0.3],
+      2022: [-2.19, -1.09, -2.79, -3.79, 0.61, -1.59, 2.51, -2.79, -4.29, -1.29, 3.71, -0.49],
+      2023: [3.11, -2.59, 2.51, 0.61, -1.09, -0.39, -0.09, -0.59, -2.49, -1.59, 4.51, 3.81],
+      2024: [-0.29, -1.39, 0.91, -2.49, 1.71, 0.91, 2.31, 1.41, 1.31, -2.49, 1.11, -1.69]
+    },
+    bitcoin: {
+      2014: [9.71, -31.18, -17.22, -3.26, 38.63, 1.73, -9.24, -18.22, -19.22, -13.23, 11.7, -15.23],
+      2015: [-32.88, 18.21, -3.83, -2.83, -2.83, 15.2, 8.19, -18.86, 2.18, 33.23, 19.21, 14.2],
+      2016: [-14.83, 18.24, -4.81, 8.22, 18.24, 27.26, -6.81, -7.81, 6.22, 15.24, 5.21, 30.27],
+      2017: [0.67, 21.6, -9.3, 26.58, 69.44, 9.64, 15.62, 64.46, -8.3, 47.52, 53.5, 37.55],
+      2018: [-26.98, 2.03, -32.98, 33.04, -18.98, -13.98, 21.03, -8.97, -5.97, -3.97, -36.98, -6.97],
+      2019: [-7.89, 11.13, 7.13, 30.16, 60.19, 27.15, -6.89, -3.89, -13.9, 10.13, -16.9, -4.89],
+      2020: [29.98, -8.02, -25.01, 33.98, 8.98, -3.02, 23.98, 2.98, -8.02, 27.98, 42.98, 46.98],
+      2021: [14.05, 36.06, 30.06, -1.96, -34.97, -5.96, 19.05, 13.05, -6.96, 40.06, -6.96, -18.96],
+      2022: [-16.97, 12.04, 5.03, -16.97, -15.97, -37.98, 17.04, -13.97, -2.97, 5.03, -15.97, -3.97],
+      2023: [39.84, -0.11, 22.86, 2.88, -7.11, 11.87, -4.11, -11.1, 3.88, 28.85, 8.88, 11.87],
+      2024: [1.04, 44.05, 16.04, -14.97, 11.04, -6.96, 3.04, -8.97, 7.04, 11.04, 37.05, -2.96]
+    }
+  },
+
+  // Daily returns keyed by 'YYYY-MM-DD' for each asset; none are bundled
+  dailyReturns: null,
+
+  // US CPI-U inflation, December to December (approximate). Monthly and daily
+  // periods spread each year's figure evenly; imported data may carry its own.
+  cpiInflation: {
+    2010: 1.5, 2011: 3.0, 2012: 1.7, 2013: 1.5, 2014: 0.8, 2015: 0.7, 2016: 2.1,
+    2017: 2.1, 2018: 1.9, 2019: 2.3, 2020: 1.4, 2021: 7.0, 2022: 6.5, 2023: 3.4, 2024: 2.9
+  },
+
+  // Imported return data; null means the built-in series above are used
+  activeDataset: null,
+  requiredAssets: ['stocks', 'bonds'], // needed by the default 60/40 benchmark
+  assetAliases: {
+    stock: 'stocks', equities: 'stocks', equity: 'stocks',
+    bond: 'bonds', fixedincome: 'bonds',
+    btc: 'bitcoin', xbt: 'bitcoin',
+    inflation: 'cpi'
+  },
+  maxImportErrors: 20,
+
+  // Saved scenarios live in storage under this key; up to maxCompare can be overlaid
+  scenarioStorageKey: 'portfolio_scenarios',
+  // The latest bitcoin position, read by the simulator's ETF vehicle comparison
+  positionStorageKey: 'portfolio_position',
+  maxCompare: 4,
+  selectedScenarioIds: [],
+  comparing: false,
+  scenarioColors: ['#F7931A', '#58A6FF', '#3FB950', '#D2A8FF'],
+  lastResults: null, // historical replay of the current inputs, kept for saving and export
+  lastBenchmarks: [],
+  lastMonteCarlo: null,
+  bundledDatasets: {
+    'extended-annual': '../../data/returns/extended-annual.json'
   }
 };
 
@@ -47,13 +241,13 @@ function validatePortfolioSize(value) {
   return size >= portfolioCalc.minPortfolioSize && size <= portfolioCalc.maxPortfolioSize;
 }
 
-function validateAllocation(stock, bond, btc) {
-  const total = stock + bond + btc;
+// weights maps asset id to percentage
+function validateAllocation(weights) {
+  const values = Object.values(weights);
+  const total = values.reduce((a, b) => a + b, 0);
   const tolerance = 0.1;
   return Math.abs(total - 100) <= tolerance &&
-         stock >= portfolioCalc.minAllocation && stock <= portfolioCalc.maxAllocation &&
-         bond >= portfolioCalc.minAllocation && bond <= portfolioCalc.maxAllocation &&
-         btc >= portfolioCalc.minAllocation && btc <= portfolioCalc.maxAllocation;
+         values.every(w => w >= portfolioCalc.minAllocation && w <= portfolioCalc.maxAllocation);
 }
 
 function sanitizeInput(value, min = -Infinity, max = Infinity) {
@@ -62,10 +256,236 @@ function sanitizeInput(value, min = -Infinity, max = Infinity) {
   return Math.max(min, Math.min(max, num));
 }
 
+// ===== Assets =====
+
+function getAssetInfo(id) {
+  const known = portfolioCalc.assetCatalog[id];
+  if (known) return { maxWeight: 100, ...known };
+
+  // Assets that only exist in an imported dataset
+  const dataset = portfolioCalc.activeDataset;
+  const ids = dataset ? Object.keys(dataset.returns).filter(a => !portfolioCalc.assetCatalog[a]) : [];
+  const palette = portfolioCalc.assetPalette;
+  return {
+    label: (dataset && dataset.labels && dataset.labels[id]) || id,
+    color: palette[Math.max(0, ids.indexOf(id)) % palette.length],
+    maxWeight: 100
+  };
+}
+
+// Assets with return data in the active source
+function getAvailableAssetIds() {
+  const dataset = portfolioCalc.activeDataset;
+  if (dataset) return Object.keys(dataset.returns);
+  return Object.keys(portfolioCalc.assetCatalog).filter(id => portfolioCalc.historicalReturns[id]);
+}
+
+function getPortfolioWeights() {
+  const weights = {};
+  portfolioCalc.assets.forEach(asset => { weights[asset.id] = asset.weight; });
+  return weights;
+}
+
+// Round values to whole numbers that add up to total (largest remainder)
+function roundToTotal(values, total) {
+  const floors = values.map(v => Math.floor(v));
+  let leftover = Math.round(total - floors.reduce((a, b) => a + b, 0));
+  values
+    .map((v, i) => ({ i, fraction: v - floors[i] }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ i }) => {
+      if (leftover > 0) {
+        floors[i]++;
+        leftover--;
+      }
+    });
+  return floors;
+}
+
+/**
+ * Keep the portfolio at 100%: hold fixedId at its weight and scale every
+ * other asset in proportion to its current weight (equally if all are zero),
+ * capping each at its maximum. Anything the others cannot absorb goes back
+ * to the fixed asset.
+ */
+function renormalizeWeights(fixedId) {
+  const assets = portfolioCalc.assets;
+  const fixed = assets.find(a => a.id === fixedId);
+  let remaining = 100 - (fixed ? fixed.weight : 0);
+  let flexible = assets.filter(a => a !== fixed);
+  const settled = new Map();
+
+  while (flexible.length && remaining > 0) {
+    const total = flexible.reduce((sum, a) => sum + a.weight, 0);
+    const shares = flexible.map(a => total > 0 ? a.weight / total : 1 / flexible.length);
+    const capped = flexible.filter((a, i) => shares[i] * remaining > getAssetInfo(a.id).maxWeight);
+
+    if (!capped.length) {
+      flexible.forEach((a, i) => settled.set(a, shares[i] * remaining));
+      remaining = 0;
+      break;
+    }
+    capped.forEach(a => {
+      settled.set(a, getAssetInfo(a.id).maxWeight);
+      remaining -= getAssetInfo(a.id).maxWeight;
+    });
+    flexible = flexible.filter(a => !capped.includes(a));
+  }
+
+  const others = assets.filter(a => a !== fixed);
+  const rawWeights = others.map(a => settled.get(a) || 0);
+  if (fixed) fixed.weight += Math.max(0, remaining);
+  const rounded = roundToTotal(rawWeights, 100 - (fixed ? fixed.weight : 0));
+  others.forEach((a, i) => { a.weight = rounded[i]; });
+}
+
+function setAssetWeight(id, weight) {
+  const asset = portfolioCalc.assets.find(a => a.id === id);
+  if (!asset) return;
+
+  // A lone asset always holds the whole portfolio
+  const max = portfolioCalc.assets.length > 1 ? getAssetInfo(id).maxWeight : 100;
+  asset.weight = Math.round(clamp(weight, portfolioCalc.minAllocation, max));
+  renormalizeWeights(id);
+}
+
+function addAsset(id) {
+  if (!id || portfolioCalc.assets.some(a => a.id === id)) return;
+  if (!getAvailableAssetIds().includes(id)) return;
+  portfolioCalc.assets.push({ id, weight: 0 });
+  renderAssetControls();
+  calculatePortfolio();
+  savePortfolioPosition();
+}
+
+function removeAsset(id) {
+  if (portfolioCalc.assets.length <= 1) return;
+  portfolioCalc.assets = portfolioCalc.assets.filter(a => a.id !== id);
+  renormalizeWeights(null);
+  renderAssetControls();
+  calculatePortfolio();
+  savePortfolioPosition();
+}
+
+// Drop holdings the active data source has no returns for
+function syncAssetsWithData() {
+  const available = getAvailableAssetIds();
+  const kept = portfolioCalc.assets.filter(a => available.includes(a.id));
+  portfolioCalc.assets = kept.length
+    ? kept
+    : portfolioCalc.requiredAssets.map(id => ({ id, weight: portfolioCalc.defaultBenchmark.weights[id] || 0 }));
+  renormalizeWeights(null);
+}
+
+function renderAssetControls() {
+  try {
+    const container = document.getElementById('assetAllocations');
+    if (!container) return;
+    container.textContent = '';
+
+    portfolioCalc.assets.forEach(asset => {
+      const info = getAssetInfo(asset.id);
+      const row = document.createElement('div');
+      row.className = 'calculator-row';
+      row.style.flexDirection = 'column';
+      row.style.alignItems = 'stretch';
+
+      const label = document.createElement('label');
+      label.htmlFor = 'weight-' + asset.id;
+      label.style.display = 'flex';
+      label.style.justifyContent = 'space-between';
+      label.style.color = info.color;
+
+      const text = document.createElement('span');
+      text.textContent = info.label + ': ';
+      const value = document.createElement('span');
+      value.id = 'weight-' + asset.id + '-value';
+      value.textContent = asset.weight + '%';
+      text.appendChild(value);
+      if (!hasNativeSeries(asset.id, portfolioCalc.resolution)) {
+        const note = document.createElement('span');
+        note.className = 'text-muted';
+        note.textContent = ' (annual data)';
+        text.appendChild(note);
+      }
+      label.appendChild(text);
+
+      if (portfolioCalc.assets.length > 1) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-secondary btn-sm';
+        remove.textContent = '\u00d7';
+        remove.setAttribute('aria-label', 'Remove ' + info.label);
+        remove.addEventListener('click', () => removeAsset(asset.id));
+        label.appendChild(remove);
+      }
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.id = 'weight-' + asset.id;
+      slider.dataset.asset = asset.id;
+      slider.min = 0;
+      slider.max = info.maxWeight;
+      slider.step = 1;
+      slider.value = asset.weight;
+      slider.setAttribute('aria-label', info.label + ' allocation percentage');
+      slider.setAttribute('aria-valuemin', 0);
+      slider.setAttribute('aria-valuemax', info.maxWeight);
+      slider.setAttribute('aria-valuenow', asset.weight);
+      slider.addEventListener('input', handleWeightChange);
+      slider.addEventListener('change', handleWeightChange);
+      slider.addEventListener('change', savePortfolioPosition);
+
+      row.appendChild(label);
+      row.appendChild(slider);
+      container.appendChild(row);
+    });
+
+    // Offer the remaining assets the data source covers
+    const select = document.getElementById('addAssetSelect');
+    if (select) {
+      select.textContent = '';
+      const held = portfolioCalc.assets.map(a => a.id);
+      const options = getAvailableAssetIds().filter(id => !held.includes(id));
+      options.forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = getAssetInfo(id).label;
+        select.appendChild(option);
+      });
+      select.disabled = !options.length;
+      const addBtn = document.getElementById('addAssetButton');
+      if (addBtn) addBtn.disabled = !options.length;
+    }
+  } catch (err) {
+    console.error('Error rendering asset controls:', err);
+  }
+}
+
+function handleWeightChange(e) {
+  try {
+    setAssetWeight(e.target.dataset.asset, sanitizeInput(e.target.value));
+
+    // Sliders of the other assets moved with the renormalization
+    portfolioCalc.assets.forEach(asset => {
+      const el = document.getElementById('weight-' + asset.id);
+      if (el && el !== e.target) el.value = asset.weight;
+    });
+    e.target.value = portfolioCalc.assets.find(a => a.id === e.target.dataset.asset).weight;
+
+    updateSliderDisplays();
+    calculatePortfolio();
+  } catch (err) {
+    console.error('Error handling weight change:', err);
+  }
+}
+
 // Initialize calculator
 function initPortfolioCalculator() {
   // Set up event listeners
-  const inputs = ['portfolioSize', 'stockAllocation', 'bondAllocation', 'btcAllocation', 'timeHorizon', 'startYear'];
+  const inputs = ['portfolioSize', 'timeHorizon', 'startYear',
+    'simulationMode', 'returnMode', 'mcMethod', 'mcPaths', 'mcSeed', 'rebalancePolicy', 'rebalanceBand', 'resolution',
+    'cashFlowType', 'cashFlowAmountType', 'cashFlowAmount', 'cashFlowFrequency', 'dcaMonths', 'maxLossLimit'];
 
   inputs.forEach(id => {
     const el = document.getElementById(id);
@@ -74,17 +494,97 @@ function initPortfolioCalculator() {
       el.addEventListener('change', handleInputChange);
     }
   });
+  ['portfolioSize', 'timeHorizon'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('change', savePortfolioPosition);
+  });
+
+  // Return data sources
+  const dataFile = document.getElementById('dataFile');
+  if (dataFile) dataFile.addEventListener('change', handleDataFile);
+  const bundled = document.getElementById('bundledDataset');
+  if (bundled) {
+    bundled.addEventListener('change', e => {
+      if (e.target.value) loadBundledDataset(e.target.value);
+      else useBuiltInData();
+    });
+  }
+  const resetBtn = document.getElementById('useBuiltInData');
+  if (resetBtn) resetBtn.addEventListener('click', useBuiltInData);
+  updateDataSourceDisplay();
+
+  // Benchmarks
+  const benchmarkPreset = document.getElementById('benchmarkPreset');
+  if (benchmarkPreset) benchmarkPreset.addEventListener('change', updateBenchmarkPresetDisplay);
+  const addBenchmarkBtn = document.getElementById('addBenchmarkButton');
+  if (addBenchmarkBtn) addBenchmarkBtn.addEventListener('click', handleAddBenchmark);
+  updateBenchmarkPresetDisplay();
+  renderBenchmarkList();
+
+  // Stress test
+  const addShockBtn = document.getElementById('addShockButton');
+  if (addShockBtn) addShockBtn.addEventListener('click', handleAddShock);
+  renderShockList();
+
+  // Export
+  const reportBtn = document.getElementById('exportReport');
+  if (reportBtn) reportBtn.addEventListener('click', openReport);
+  const csvBtn = document.getElementById('exportCsv');
+  if (csvBtn) csvBtn.addEventListener('click', exportYearlyCSV);
+
+  // Saved scenarios
+  const saveBtn = document.getElementById('saveScenario');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      const nameEl = document.getElementById('scenarioName');
+      if (saveCurrentScenario(nameEl ? nameEl.value : '') && nameEl) nameEl.value = '';
+    });
+  }
+  const compareBtn = document.getElementById('compareScenarios');
+  if (compareBtn) compareBtn.addEventListener('click', showScenarioComparison);
+  const exitBtn = document.getElementById('exitCompare');
+  if (exitBtn) exitBtn.addEventListener('click', exitScenarioComparison);
+  renderScenarioList();
+
+  // Asset list
+  const addBtn = document.getElementById('addAssetButton');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => {
+      const select = document.getElementById('addAssetSelect');
+      if (select) addAsset(select.value);
+    });
+  }
 
   // Initialize sliders display
   updateSliderDisplays();
+  updateModeDisplay();
+  updateRebalanceDisplay();
+  updateCashFlowDisplay();
+  updateResolutionDisplay();
 
-  // Run initial calculation
-  calculatePortfolio();
+  // Restoring a shared scenario runs the first calculation itself
+  if (!initUrlState({ getState: getPortfolioState, applyState: applyPortfolioState })) {
+    calculatePortfolio();
+  }
 }
 
 function handleInputChange(e) {
   try {
     const id = e.target.id;
+
+    // Select inputs carry string values
+    const selects = ['simulationMode', 'returnMode', 'mcMethod', 'rebalancePolicy', 'resolution',
+      'cashFlowType', 'cashFlowAmountType', 'cashFlowFrequency'];
+    if (selects.includes(id)) {
+      portfolioCalc[id] = e.target.value;
+      if (id === 'simulationMode') updateModeDisplay();
+      if (id === 'rebalancePolicy') updateRebalanceDisplay();
+      if (id === 'cashFlowType' || id === 'cashFlowAmountType') updateCashFlowDisplay();
+      if (id === 'resolution') updateResolutionDisplay();
+      calculatePortfolio();
+      return;
+    }
+
     let value = sanitizeInput(e.target.value);
 
     // Validate portfolio size
@@ -96,42 +596,22 @@ function handleInputChange(e) {
         if (el) el.value = value;
       }
       portfolioCalc[id] = value;
-    }
-    // Handle allocation constraints
-    else if (id === 'btcAllocation') {
-      value = clamp(value, 0, 50);
-      portfolioCalc.btcAllocation = value;
-      // Proportionally reduce stocks and bonds
-      const remaining = 100 - value;
-      const ratio = portfolioCalc.stockAllocation / (portfolioCalc.stockAllocation + portfolioCalc.bondAllocation) || 0.6;
-      portfolioCalc.stockAllocation = Math.round(remaining * ratio);
-      portfolioCalc.bondAllocation = remaining - portfolioCalc.stockAllocation;
-
-      const stockEl = document.getElementById('stockAllocation');
-      const bondEl = document.getElementById('bondAllocation');
-      if (stockEl) stockEl.value = portfolioCalc.stockAllocation;
-      if (bondEl) bondEl.value = portfolioCalc.bondAllocation;
-    } else if (id === 'stockAllocation' || id === 'bondAllocation') {
-      value = clamp(value, 0, 100);
-      portfolioCalc[id] = value;
-      // Adjust BTC to make total 100%
-      const stockBond = portfolioCalc.stockAllocation + portfolioCalc.bondAllocation;
-      if (stockBond > 100) {
-        if (id === 'stockAllocation') {
-          portfolioCalc.bondAllocation = 100 - value - portfolioCalc.btcAllocation;
-          const bondEl = document.getElementById('bondAllocation');
-          if (bondEl) bondEl.value = Math.max(0, portfolioCalc.bondAllocation);
-        } else {
-          portfolioCalc.stockAllocation = 100 - value - portfolioCalc.btcAllocation;
-          const stockEl = document.getElementById('stockAllocation');
-          if (stockEl) stockEl.value = Math.max(0, portfolioCalc.stockAllocation);
-        }
-      }
-      portfolioCalc.btcAllocation = clamp(100 - portfolioCalc.stockAllocation - portfolioCalc.bondAllocation, 0, 100);
-      const btcEl = document.getElementById('btcAllocation');
-      if (btcEl) btcEl.value = portfolioCalc.btcAllocation;
+    } else if (id === 'mcPaths') {
+      value = Math.round(clamp(value, portfolioCalc.minPaths, portfolioCalc.maxPaths));
+      portfolioCalc.mcPaths = value;
+    } else if (id === 'rebalanceBand') {
+      portfolioCalc.rebalanceBand = clamp(value, portfolioCalc.minBand, portfolioCalc.maxBand);
+    } else if (id === 'mcSeed') {
+      portfolioCalc.mcSeed = Math.round(Math.abs(value));
+    } else if (id === 'cashFlowAmount') {
+      portfolioCalc.cashFlowAmount = clamp(value, 0, getMaxCashFlowAmount());
+    } else if (id === 'dcaMonths') {
+      portfolioCalc.dcaMonths = Math.round(clamp(value, 0, portfolioCalc.maxDcaMonths));
+    } else if (id === 'maxLossLimit') {
+      portfolioCalc.maxLossLimit = clamp(value, 0, 100);
     } else {
       portfolioCalc[id] = value;
+      if (id === 'startYear') updateHorizonRange();
     }
 
     updateSliderDisplays();
@@ -145,11 +625,11 @@ function updateSliderDisplays() {
   try {
     // Update displayed values next to sliders
     const displays = {
-      'stockAllocationValue': portfolioCalc.stockAllocation + '%',
-      'bondAllocationValue': portfolioCalc.bondAllocation + '%',
-      'btcAllocationValue': portfolioCalc.btcAllocation + '%',
       'timeHorizonValue': portfolioCalc.timeHorizon + ' years'
     };
+    portfolioCalc.assets.forEach(asset => {
+      displays['weight-' + asset.id + '-value'] = asset.weight + '%';
+    });
 
     Object.entries(displays).forEach(([id, value]) => {
       const el = document.getElementById(id);
@@ -158,11 +638,11 @@ function updateSliderDisplays() {
 
     // Update ARIA values for sliders
     const sliders = {
-      'stockAllocation': portfolioCalc.stockAllocation,
-      'bondAllocation': portfolioCalc.bondAllocation,
-      'btcAllocation': portfolioCalc.btcAllocation,
       'timeHorizon': portfolioCalc.timeHorizon
     };
+    portfolioCalc.assets.forEach(asset => {
+      sliders['weight-' + asset.id] = asset.weight;
+    });
 
     Object.entries(sliders).forEach(([id, value]) => {
       const el = document.getElementById(id);
@@ -173,247 +653,2653 @@ function updateSliderDisplays() {
   }
 }
 
-function calculatePortfolio() {
-  const { portfolioSize, stockAllocation, bondAllocation, btcAllocation, timeHorizon, startYear } = portfolioCalc;
+function updateModeDisplay() {
+  try {
+    const isMonteCarlo = portfolioCalc.simulationMode === 'montecarlo';
 
-  // Calculate both portfolios (with and without BTC)
-  const traditionalResults = simulatePortfolio(portfolioSize, 60, 40, 0, timeHorizon, startYear);
-  const btcResults = simulatePortfolio(portfolioSize, stockAllocation, bondAllocation, btcAllocation, timeHorizon, startYear);
+    const mcSettings = document.getElementById('monteCarloSettings');
+    if (mcSettings) mcSettings.style.display = isMonteCarlo ? 'block' : 'none';
+    const mcResults = document.getElementById('monteCarloResults');
+    if (mcResults) mcResults.style.display = isMonteCarlo ? 'block' : 'none';
+    const startYearRow = document.getElementById('startYearRow');
+    if (startYearRow) startYearRow.style.display = isMonteCarlo ? 'none' : '';
 
-  // Update metrics
-  updateMetrics(traditionalResults, btcResults);
+    updateDataRange();
+  } catch (err) {
+    console.error('Error updating mode display:', err);
+  }
+}
+
+// Fit the start year choices and horizon slider to the years the data covers
+function updateDataRange() {
+  try {
+    const dataYears = getDataYears(portfolioCalc.resolution);
+    if (!dataYears.length) return;
 
-  // Update chart
-  updateChart(traditionalResults, btcResults);
+    if (!dataYears.includes(portfolioCalc.startYear)) {
+      portfolioCalc.startYear = dataYears[0];
+    }
+    const startSelect = document.getElementById('startYear');
+    if (startSelect) {
+      startSelect.textContent = '';
+      dataYears.forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        startSelect.appendChild(option);
+      });
+      startSelect.value = portfolioCalc.startYear;
+    }
+    updateHorizonRange(dataYears);
+  } catch (err) {
+    console.error('Error updating data range:', err);
+  }
 }
 
-function simulatePortfolio(initialValue, stockPct, bondPct, btcPct, years, startYear) {
-  const results = {
-    years: [],
-    values: [],
-    returns: [],
-    finalValue: initialValue,
-    totalReturn: 0,
-    cagr: 0,
-    volatility: 0,
-    maxDrawdown: 0,
-    sharpe: 0
-  };
+// A historical replay ends with the data, so the horizon is capped at the years left after the start year
+function updateHorizonRange(dataYears = getDataYears(portfolioCalc.resolution)) {
+  try {
+    if (!dataYears.length) return;
 
-  let value = initialValue;
-  let peak = initialValue;
+    // Sampled paths are not tied to the calendar, so allow longer horizons
+    const maxHorizon = portfolioCalc.simulationMode === 'montecarlo'
+      ? portfolioCalc.maxMonteCarloHorizon
+      : Math.max(dataYears[dataYears.length - 1] - portfolioCalc.startYear + 1, 1);
+    portfolioCalc.timeHorizon = clamp(portfolioCalc.timeHorizon, 1, maxHorizon);
+    const horizonEl = document.getElementById('timeHorizon');
+    if (horizonEl) {
+      horizonEl.max = maxHorizon;
+      horizonEl.value = portfolioCalc.timeHorizon;
+      horizonEl.setAttribute('aria-valuemax', maxHorizon);
+    }
+    updateSliderDisplays();
+  } catch (err) {
+    console.error('Error updating horizon range:', err);
+  }
+}
 
-  for (let i = 0; i < years; i++) {
-    const year = startYear + i;
+function updateReturnModeDisplay() {
+  try {
+    const isReal = portfolioCalc.returnMode === 'real';
+    const note = document.getElementById('returnModeNote');
+    if (note) {
+      let text = isReal
+        ? 'Values are in constant start-year dollars, deflated by CPI. CAGR, volatility, Sharpe (against a real risk-free rate) and drawdowns are all real.'
+        : 'Values are in nominal dollars, before inflation.';
+      const missing = getReturnSeries(portfolioCalc.resolution).missingInflation || [];
+      if (isReal && missing.length) {
+        text += ' No CPI data for ' + missing.join(', ') + '; those years are not deflated.';
+      }
+      note.textContent = text;
+    }
+    updateChartTitle();
+  } catch (err) {
+    console.error('Error updating return mode display:', err);
+  }
+}
 
-    // Get returns for this year (use last available if beyond data)
-    const stockReturn = portfolioCalc.historicalReturns.stocks[year] ?? portfolioCalc.historicalReturns.stocks[2024];
-    const bondReturn = portfolioCalc.historicalReturns.bonds[year] ?? portfolioCalc.historicalReturns.bonds[2024];
-    const btcReturn = portfolioCalc.historicalReturns.bitcoin[year] ?? portfolioCalc.historicalReturns.bitcoin[2024];
+function updateChartTitle() {
+  const title = document.getElementById('chartTitle');
+  if (!title) return;
+  if (portfolioCalc.comparing) {
+    title.textContent = 'Saved Scenarios Compared';
+  } else {
+    title.textContent = 'Portfolio Value Over Time' +
+      (portfolioCalc.returnMode === 'real' ? ' (Real, ' + portfolioCalc.startYear + ' Dollars)' : '');
+  }
+}
 
-    // Calculate weighted return
-    const portfolioReturn = (stockPct / 100 * stockReturn) +
-                           (bondPct / 100 * bondReturn) +
-                           (btcPct / 100 * btcReturn);
+function updateRebalanceDisplay() {
+  const bandRow = document.getElementById('rebalanceBandRow');
+  if (bandRow) bandRow.style.display = portfolioCalc.rebalancePolicy === 'threshold' ? '' : 'none';
+}
 
-    results.returns.push(portfolioReturn);
-    value = value * (1 + portfolioReturn / 100);
-    results.years.push(year);
-    results.values.push(value);
+// Percent amounts are an annual rate of the portfolio; fixed amounts are dollars per payment
+function getMaxCashFlowAmount() {
+  return portfolioCalc.cashFlowAmountType === 'percent' ? 100 : portfolioCalc.maxPortfolioSize;
+}
 
-    // Track max drawdown
-    if (value > peak) peak = value;
-    const drawdown = (peak - value) / peak * 100;
-    if (drawdown > results.maxDrawdown) results.maxDrawdown = drawdown;
+function updateCashFlowDisplay() {
+  const calc = portfolioCalc;
+  const details = document.getElementById('cashFlowDetails');
+  if (details) details.style.display = calc.cashFlowType === 'none' ? 'none' : '';
+  const amount = document.getElementById('cashFlowAmount');
+  if (amount) {
+    const percent = calc.cashFlowAmountType === 'percent';
+    amount.max = getMaxCashFlowAmount();
+    amount.step = percent ? '0.5' : '1000';
+    calc.cashFlowAmount = clamp(calc.cashFlowAmount, 0, getMaxCashFlowAmount());
+    amount.value = calc.cashFlowAmount;
   }
+  document.querySelectorAll('[data-withdrawals-only]').forEach(el => {
+    el.style.display = calc.cashFlowType === 'withdrawal' ? '' : 'none';
+  });
+}
 
-  results.finalValue = value;
-  results.totalReturn = ((value - initialValue) / initialValue) * 100;
-  if (years > 0 && initialValue > 0) {
-    results.cagr = (Math.pow(value / initialValue, 1 / years) - 1) * 100;
-  } else {
-    results.cagr = 0;
+function updateResolutionDisplay() {
+  try {
+    // Fall back to a resolution that has data loaded
+    if (!isResolutionAvailable(portfolioCalc.resolution)) {
+      portfolioCalc.resolution = ['monthly', 'annual', 'daily'].find(isResolutionAvailable) || 'annual';
+    }
+
+    const select = document.getElementById('resolution');
+    if (select) {
+      Array.from(select.options || []).forEach(option => {
+        option.disabled = !isResolutionAvailable(option.value);
+      });
+      select.value = portfolioCalc.resolution;
+    }
+
+    const labels = { annual: 'annual', monthly: 'monthly', daily: 'daily' };
+    const note = document.getElementById('resolutionNote');
+    if (note) {
+      note.textContent = portfolioCalc.resolution === 'annual'
+        ? 'Annual returns are compounded evenly across quarters, so drawdowns inside a year are not visible.'
+        : 'Volatility, Sharpe and drawdown are computed from ' + labels[portfolioCalc.resolution] + ' returns and annualized.';
+    }
+    updateDataRange();
+    renderAssetControls();
+  } catch (err) {
+    console.error('Error updating resolution display:', err);
   }
-  results.volatility = calculateStdDev(results.returns);
-  results.sharpe = results.volatility > 0 ? (results.cagr - 2) / results.volatility : 0; // Assume 2% risk-free
+}
 
-  return results;
+// The historical replay stops where the data ends, even when sampled paths run on
+function getHistoricalYears() {
+  const { timeHorizon, startYear } = portfolioCalc;
+  const dataYears = getDataYears(portfolioCalc.resolution);
+  if (!dataYears.length) return timeHorizon;
+  return clamp(Math.min(timeHorizon, dataYears[dataYears.length - 1] - startYear + 1), 1, timeHorizon);
 }
 
-function calculateStdDev(arr) {
-  if (!arr || arr.length === 0) return 0;
-  const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
-  const squaredDiffs = arr.map(x => Math.pow(x - mean, 2));
-  return Math.sqrt(squaredDiffs.reduce((a, b) => a + b, 0) / arr.length);
+/**
+ * Remember the allocation for the strategy simulator. Called only when the
+ * reader commits a change here, so dragging a slider does not write on every
+ * step and opening someone else's link does not replace their own position.
+ */
+function savePortfolioPosition() {
+  saveToStorage(portfolioCalc.positionStorageKey, {
+    portfolioSize: portfolioCalc.portfolioSize,
+    bitcoinWeight: getPortfolioWeights().bitcoin || 0,
+    timeHorizon: portfolioCalc.timeHorizon
+  });
 }
 
-function updateMetrics(traditional, withBtc) {
-  // Traditional portfolio metrics
-  setMetric('traditionalFinal', formatCurrency(traditional.finalValue));
-  setMetric('traditionalCAGR', traditional.cagr.toFixed(1) + '%');
-  setMetric('traditionalVol', traditional.volatility.toFixed(1) + '%');
-  setMetric('traditionalSharpe', traditional.sharpe.toFixed(2));
-  setMetric('traditionalDrawdown', traditional.maxDrawdown.toFixed(1) + '%');
+function calculatePortfolio() {
+  const { portfolioSize, timeHorizon, startYear } = portfolioCalc;
+  const weights = getPortfolioWeights();
+  const historicalYears = getHistoricalYears();
+  portfolioCalc.historicalYears = historicalYears;
+  writeUrlState(getPortfolioState());
+  updateReturnModeDisplay();
 
-  // BTC portfolio metrics
-  setMetric('btcFinal', formatCurrency(withBtc.finalValue));
-  setMetric('btcCAGR', withBtc.cagr.toFixed(1) + '%');
-  setMetric('btcVol', withBtc.volatility.toFixed(1) + '%');
-  setMetric('btcSharpe', withBtc.sharpe.toFixed(2));
-  setMetric('btcDrawdown', withBtc.maxDrawdown.toFixed(1) + '%');
+  // Calculate every benchmark and the chosen allocation
+  const benchmarks = getActiveBenchmarks().map(benchmark => ({
+    benchmark,
+    results: simulatePortfolio(portfolioSize, benchmark.weights, historicalYears, startYear)
+  }));
+  const traditionalResults = benchmarks[0].results;
+  const btcResults = simulatePortfolio(portfolioSize, weights, historicalYears, startYear);
+  portfolioCalc.lastResults = btcResults;
+  portfolioCalc.lastBenchmarks = benchmarks;
+  portfolioCalc.lastMonteCarlo = null;
 
-  // Comparison
-  const valueDiff = withBtc.finalValue - traditional.finalValue;
-  const cagrDiff = withBtc.cagr - traditional.cagr;
+  // Update metrics
+  updateBenchmarkLabels(benchmarks[0].benchmark);
+  updateMetrics(traditionalResults, btcResults);
+  updateBenchmarkComparison(benchmarks, btcResults);
+  updateStressTest(runStressTest(portfolioSize, weights, getStressScenarios(), btcResults.cagr));
+  updateRebalanceComparison(comparePolicies(portfolioSize, weights, historicalYears, startYear));
+  updateDriftChart(btcResults);
 
-  setMetric('valueDiff', (valueDiff >= 0 ? '+' : '') + formatCurrency(valueDiff), valueDiff >= 0);
-  setMetric('cagrDiff', (cagrDiff >= 0 ? '+' : '') + cagrDiff.toFixed(1) + '%', cagrDiff >= 0);
+  if (portfolioCalc.simulationMode === 'montecarlo') {
+    const options = {
+      method: portfolioCalc.mcMethod,
+      paths: portfolioCalc.mcPaths,
+      seed: portfolioCalc.mcSeed,
+      resolution: portfolioCalc.resolution,
+      rebalancePolicy: portfolioCalc.rebalancePolicy,
+      rebalanceBand: portfolioCalc.rebalanceBand
+    };
+    // Same seed for both portfolios so they face identical market paths
+    const traditionalMC = runMonteCarlo(portfolioSize, benchmarks[0].benchmark.weights, timeHorizon, options);
+    traditionalMC.label = benchmarks[0].benchmark.name;
+    const btcMC = runMonteCarlo(portfolioSize, weights, timeHorizon, options);
+
+    portfolioCalc.lastMonteCarlo = { traditional: traditionalMC, withBtc: btcMC };
+    updateMonteCarloMetrics(traditionalMC, btcMC);
+    setMetric('mcReplayWindow', startYear + '–' + (startYear + historicalYears - 1));
+    if (!portfolioCalc.comparing) updateMonteCarloChart(traditionalMC, btcMC);
+    return;
+  }
+
+  // Update chart, unless it is showing saved scenarios
+  if (!portfolioCalc.comparing) updateChart(benchmarks, btcResults);
 }
 
-function setMetric(id, value, isPositive = null) {
-  try {
-    const el = document.getElementById(id);
-    if (el) {
-      el.textContent = value;
-      if (isPositive !== null) {
-        el.classList.remove('positive', 'negative');
-        el.classList.add(isPositive ? 'positive' : 'negative');
-      }
+// ===== Benchmarks =====
+
+// Benchmarks the active data source can simulate, falling back to 60/40
+function getActiveBenchmarks() {
+  const available = getAvailableAssetIds();
+  const usable = portfolioCalc.benchmarks.filter(b => isBenchmarkUsable(b, available));
+  return usable.length ? usable : [portfolioCalc.defaultBenchmark];
+}
+
+function isBenchmarkUsable(benchmark, available = getAvailableAssetIds()) {
+  return Object.keys(benchmark.weights).every(id => available.includes(id));
+}
+
+// Short weight summary such as "Stocks 60% / Bonds 40%"
+function describeWeights(weights) {
+  return Object.keys(weights)
+    .map(id => getAssetInfo(id).label + ' ' + weights[id] + '%')
+    .join(' / ');
+}
+
+/**
+ * Parse custom benchmark weights written as "stocks 70, bonds 30" (an '=' or
+ * ':' between asset and weight also works). Weights must total 100%.
+ */
+function parseBenchmarkWeights(text) {
+  const weights = {};
+  const parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (!parts.length) return { weights: null, error: 'Enter at least one asset and weight, e.g. "stocks 70, bonds 30".' };
+
+  for (const part of parts) {
+    const match = part.match(/^(.+?)\s*[=:\s]\s*(-?[\d.]+)\s*%?$/);
+    if (!match) return { weights: null, error: '"' + part + '" is not an asset followed by a weight.' };
+
+    const raw = match[1].toLowerCase().replace(/[^a-z0-9]/g, '');
+    const id = portfolioCalc.assetAliases[raw] || raw;
+    const weight = parseFloat(match[2]);
+    if (!getAvailableAssetIds().includes(id)) {
+      return { weights: null, error: 'No return data for "' + match[1] + '".' };
     }
-  } catch (e) {
-    console.error('Error setting metric:', id, e);
+    if (!isFinite(weight) || weight <= 0) return { weights: null, error: 'Weight for "' + match[1] + '" must be positive.' };
+    weights[id] = (weights[id] || 0) + weight;
   }
+
+  const ok = validateAllocation(weights);
+  return ok ? { weights, error: null } : { weights: null, error: 'Benchmark weights must total 100%.' };
 }
 
-function formatCurrency(value) {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    maximumFractionDigits: 0
-  }).format(value);
+function addBenchmark(benchmark) {
+  if (portfolioCalc.benchmarks.length >= portfolioCalc.maxBenchmarks) {
+    return 'At most ' + portfolioCalc.maxBenchmarks + ' benchmarks can be compared.';
+  }
+  if (portfolioCalc.benchmarks.some(b => b.name === benchmark.name)) {
+    return 'A benchmark named "' + benchmark.name + '" already exists.';
+  }
+  portfolioCalc.benchmarks.push({ name: benchmark.name, weights: { ...benchmark.weights } });
+  renderBenchmarkList();
+  calculatePortfolio();
+  return null;
+}
+
+function removeBenchmark(index) {
+  // Keep at least one benchmark to compare against
+  if (portfolioCalc.benchmarks.length <= 1) return;
+  portfolioCalc.benchmarks.splice(index, 1);
+  renderBenchmarkList();
+  calculatePortfolio();
 }
 
-function updateChart(traditional, withBtc) {
+function handleAddBenchmark() {
   try {
-    const ctx = document.getElementById('portfolioChart');
-    const errorDiv = document.getElementById('chartError');
-
-    if (!ctx) {
-      console.error('Chart canvas not found');
-      if (errorDiv) {
-        errorDiv.style.display = 'block';
-        errorDiv.textContent = '';
-        const title = document.createElement('div');
-        title.className = 'callout-title';
-        title.textContent = 'Chart Container Error';
-        const msg = document.createElement('p');
-        msg.textContent = 'Unable to find chart element on the page.';
-        errorDiv.appendChild(title);
-        errorDiv.appendChild(msg);
-      }
-      return;
-    }
+    const preset = document.getElementById('benchmarkPreset');
+    const key = preset ? preset.value : '';
+    let error;
 
-    // Destroy existing chart if it exists
-    if (window.portfolioChartInstance) {
-      window.portfolioChartInstance.destroy();
+    if (key === 'custom') {
+      const nameEl = document.getElementById('customBenchmarkName');
+      const weightsEl = document.getElementById('customBenchmarkWeights');
+      const name = nameEl ? nameEl.value.trim() : '';
+      const parsed = parseBenchmarkWeights(weightsEl ? weightsEl.value : '');
+      error = !name ? 'Give the benchmark a name.' : parsed.error;
+      if (!error) error = addBenchmark({ name, weights: parsed.weights });
+    } else if (portfolioCalc.benchmarkPresets[key]) {
+      error = addBenchmark(portfolioCalc.benchmarkPresets[key]);
     }
 
-    // Check if Chart.js is loaded
-    if (typeof Chart === 'undefined') {
-      console.warn('Chart.js not loaded');
-      if (errorDiv) {
-        errorDiv.style.display = 'block';
-      }
-      ctx.style.display = 'none';
-      return;
+    const errorEl = document.getElementById('benchmarkError');
+    if (errorEl) {
+      errorEl.textContent = error || '';
+      errorEl.style.display = error ? 'block' : 'none';
     }
+  } catch (err) {
+    console.error('Error adding benchmark:', err);
+  }
+}
 
-    // Hide error message and show chart
-    if (errorDiv) {
-      errorDiv.style.display = 'none';
-    }
-    ctx.style.display = 'block';
+function updateBenchmarkPresetDisplay() {
+  const preset = document.getElementById('benchmarkPreset');
+  const customRow = document.getElementById('customBenchmarkRow');
+  if (preset && customRow) {
+    customRow.style.display = preset.value === 'custom' ? 'flex' : 'none';
+  }
+}
 
-    window.portfolioChartInstance = new Chart(ctx, {
-    type: 'line',
-    data: {
-      labels: traditional.years,
-      datasets: [
-        {
-          label: '60/40 Portfolio',
-          data: traditional.values,
-          borderColor: '#8B949E',
-          backgroundColor: 'rgba(139, 148, 158, 0.1)',
-          tension: 0.1,
-          fill: true
-        },
-        {
-          label: 'With Bitcoin',
-          data: withBtc.values,
-          borderColor: '#F7931A',
-          backgroundColor: 'rgba(247, 147, 26, 0.1)',
-          tension: 0.1,
-          fill: true
-        }
-      ]
+function renderBenchmarkList() {
+  try {
+    const list = document.getElementById('benchmarkList');
+    if (!list) return;
+    list.textContent = '';
+
+    const available = getAvailableAssetIds();
+    portfolioCalc.benchmarks.forEach((benchmark, index) => {
+      const row = document.createElement('div');
+      row.className = 'calculator-row';
+      row.style.justifyContent = 'space-between';
+
+      const text = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = benchmark.name + (index === 0 ? ' (primary)' : '');
+      name.style.color = portfolioCalc.benchmarkColors[index % portfolioCalc.benchmarkColors.length];
+      const detail = document.createElement('div');
+      detail.className = 'text-muted';
+      detail.style.fontSize = '0.875rem';
+      detail.textContent = describeWeights(benchmark.weights) +
+        (isBenchmarkUsable(benchmark, available) ? '' : ' (no data in the active source)');
+      text.appendChild(name);
+      text.appendChild(detail);
+      row.appendChild(text);
+
+      if (portfolioCalc.benchmarks.length > 1) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-secondary btn-sm';
+        remove.textContent = '\u00d7';
+        remove.setAttribute('aria-label', 'Remove ' + benchmark.name);
+        remove.addEventListener('click', () => removeBenchmark(index));
+        row.appendChild(remove);
+      }
+      list.appendChild(row);
+    });
+  } catch (err) {
+    console.error('Error rendering benchmarks:', err);
+  }
+}
+
+// Headings that name the primary benchmark
+function updateBenchmarkLabels(benchmark) {
+  document.querySelectorAll('[data-benchmark-name]').forEach(el => {
+    el.textContent = benchmark.name;
+  });
+}
+
+/**
+ * Relative metrics of the portfolio against one benchmark. Tracking error is
+ * the annualized standard deviation of period-by-period return differences;
+ * the information ratio divides excess CAGR by it.
+ */
+function calculateRelativeMetrics(portfolio, benchmark, years) {
+  const n = Math.min(portfolio.periodReturns.length, benchmark.periodReturns.length);
+  const active = [];
+  for (let i = 0; i < n; i++) {
+    active.push(portfolio.periodReturns[i] - benchmark.periodReturns[i]);
+  }
+
+  const periodsPerYear = years > 0 ? n / years : 1;
+  const trackingError = calculateStdDev(active) * Math.sqrt(periodsPerYear);
+  const excessCagr = portfolio.cagr - benchmark.cagr;
+
+  return {
+    excessCagr,
+    trackingError,
+    informationRatio: trackingError > 0 ? excessCagr / trackingError : null
+  };
+}
+
+function updateBenchmarkComparison(benchmarks, portfolio) {
+  try {
+    const tbody = document.getElementById('benchmarkComparison');
+    if (!tbody) return;
+    tbody.textContent = '';
+
+    benchmarks.forEach(({ benchmark, results }) => {
+      const relative = calculateRelativeMetrics(portfolio, results, portfolioCalc.historicalYears);
+      const row = document.createElement('tr');
+      row.style.borderBottom = '1px solid var(--bg-hover)';
+
+      [
+        benchmark.name,
+        results.cagr.toFixed(1) + '%',
+        (relative.excessCagr >= 0 ? '+' : '') + relative.excessCagr.toFixed(1) + '%',
+        relative.trackingError.toFixed(1) + '%',
+        relative.informationRatio === null ? '—' : relative.informationRatio.toFixed(2),
+        results.maxDrawdown.toFixed(1) + '%'
+      ].forEach((text, i) => {
+        const cell = document.createElement('td');
+        cell.style.padding = 'var(--space-sm)';
+        cell.style.textAlign = i === 0 ? 'left' : 'right';
+        if (i === 2) cell.style.color = relative.excessCagr >= 0 ? 'var(--success)' : 'var(--error)';
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+  } catch (err) {
+    console.error('Error updating benchmark comparison:', err);
+  }
+}
+
+// ===== Stress Test =====
+
+function formatMonthYear(isoDate) {
+  return new Date(isoDate + 'T00:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', year: 'numeric' });
+}
+
+// Historical bitcoin drawdowns followed by the user's own shocks
+function getStressScenarios() {
+  const historical = sampleBitcoinData.drawdowns.map(episode => ({
+    name: 'Bitcoin ' + formatMonthYear(episode.start) + ' – ' + formatMonthYear(episode.troughDate),
+    shocks: { bitcoin: Math.round(episode.drawdown * 10) / 10, ...portfolioCalc.episodeShocks[episode.start] },
+    historical: true,
+    episode
+  }));
+  return historical.concat(portfolioCalc.customShocks.map(shock => ({ ...shock, historical: false })));
+}
+
+/**
+ * Apply each scenario's instantaneous asset moves to the allocation. A
+ * historical episode recovers when bitcoin regained its prior peak, which
+ * findDrawdowns measured from the price series; one still below its peak is
+ * open. Custom shocks have no history, so their recovery is estimated by
+ * compounding the portfolio's historical CAGR from the shocked value back to
+ * the starting value; null when that CAGR is not positive.
+ */
+function runStressTest(initialValue, weights, scenarios, growthRate) {
+  return scenarios.map(scenario => {
+    const change = Object.keys(weights).reduce((sum, id) => sum + weights[id] * (scenario.shocks[id] || 0) / 100, 0);
+    const episode = scenario.episode;
+    let recoveryYears = 0;
+    if (episode) {
+      recoveryYears = episode.end ? episode.recovery / 365.25 : null;
+    } else if (change < 0) {
+      recoveryYears = growthRate > 0 && change > -100
+        ? Math.log(1 / (1 + change / 100)) / Math.log(1 + growthRate / 100)
+        : null;
+    }
+    return {
+      scenario,
+      change,
+      changeValue: initialValue * change / 100,
+      recoveryYears,
+      recoveryEnd: episode ? episode.end : null,
+      recoveryEstimated: !episode,
+      breach: -change > portfolioCalc.maxLossLimit
+    };
+  });
+}
+
+// Shocks may name any known asset, or one from imported return data
+function isShockAsset(id) {
+  return Boolean(portfolioCalc.assetCatalog[id]) || getAvailableAssetIds().includes(id);
+}
+
+/**
+ * Parse shocks written as "bitcoin -80, stocks -30". Unlike benchmark
+ * weights, moves can be negative or positive and need not total anything.
+ */
+function parseShocks(text) {
+  const shocks = {};
+  const parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (!parts.length) return { shocks: null, error: 'Enter at least one asset and move, e.g. "bitcoin -80, stocks -30".' };
+
+  for (const part of parts) {
+    const match = part.match(/^(.+?)\s*[=:\s]\s*([+-]?[\d.]+)\s*%?$/);
+    if (!match) return { shocks: null, error: '"' + part + '" is not an asset followed by a percent move.' };
+
+    const raw = match[1].toLowerCase().replace(/[^a-z0-9]/g, '');
+    const id = portfolioCalc.assetAliases[raw] || raw;
+    const move = parseFloat(match[2]);
+    if (!isShockAsset(id)) return { shocks: null, error: 'Unknown asset "' + match[1] + '".' };
+    if (!isFinite(move) || move < -100) return { shocks: null, error: 'Move for "' + match[1] + '" cannot be below -100%.' };
+    shocks[id] = move;
+  }
+  return { shocks, error: null };
+}
+
+function addCustomShock(shock) {
+  if (portfolioCalc.customShocks.length >= portfolioCalc.maxCustomShocks) {
+    return 'At most ' + portfolioCalc.maxCustomShocks + ' custom shocks can be added.';
+  }
+  if (portfolioCalc.customShocks.some(s => s.name === shock.name)) {
+    return 'A shock named "' + shock.name + '" already exists.';
+  }
+  portfolioCalc.customShocks.push({ name: shock.name, shocks: { ...shock.shocks } });
+  renderShockList();
+  calculatePortfolio();
+  return null;
+}
+
+function removeCustomShock(index) {
+  portfolioCalc.customShocks.splice(index, 1);
+  renderShockList();
+  calculatePortfolio();
+}
+
+function handleAddShock() {
+  try {
+    const nameEl = document.getElementById('shockName');
+    const movesEl = document.getElementById('shockMoves');
+    const name = nameEl ? nameEl.value.trim() : '';
+    const parsed = parseShocks(movesEl ? movesEl.value : '');
+    let error = !name ? 'Give the shock a name.' : parsed.error;
+    if (!error) error = addCustomShock({ name, shocks: parsed.shocks });
+    if (!error) {
+      if (nameEl) nameEl.value = '';
+      if (movesEl) movesEl.value = '';
+    }
+
+    const errorEl = document.getElementById('shockError');
+    if (errorEl) {
+      errorEl.textContent = error || '';
+      errorEl.style.display = error ? 'block' : 'none';
+    }
+  } catch (err) {
+    console.error('Error adding stress shock:', err);
+  }
+}
+
+function describeShocks(shocks) {
+  return Object.keys(shocks)
+    .map(id => getAssetInfo(id).label + ' ' + (shocks[id] > 0 ? '+' : '') + shocks[id] + '%')
+    .join(' / ');
+}
+
+function renderShockList() {
+  try {
+    const list = document.getElementById('shockList');
+    if (!list) return;
+    list.textContent = '';
+
+    portfolioCalc.customShocks.forEach((shock, index) => {
+      const row = document.createElement('div');
+      row.className = 'calculator-row';
+      row.style.justifyContent = 'space-between';
+
+      const text = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = shock.name;
+      const detail = document.createElement('div');
+      detail.className = 'text-muted';
+      detail.style.fontSize = '0.875rem';
+      detail.textContent = describeShocks(shock.shocks);
+      text.appendChild(name);
+      text.appendChild(detail);
+      row.appendChild(text);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-secondary btn-sm';
+      remove.textContent = '\u00d7';
+      remove.setAttribute('aria-label', 'Remove ' + shock.name);
+      remove.addEventListener('click', () => removeCustomShock(index));
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+  } catch (err) {
+    console.error('Error rendering stress shocks:', err);
+  }
+}
+
+function formatRecovery({ recoveryYears: years, recoveryEnd, recoveryEstimated }) {
+  if (!recoveryEstimated) {
+    if (years === null) return 'Open, still below peak';
+    return formatDuration(years) + ' (' + formatMonthYear(recoveryEnd) + ')';
+  }
+  if (years === null) return 'Not at this CAGR (est.)';
+  if (years === 0) return '—';
+  return '~' + formatDuration(years) + ' (est.)';
+}
+
+function formatDuration(years) {
+  return years < 1 ? Math.max(1, Math.round(years * 12)) + ' months' : years.toFixed(1) + ' years';
+}
+
+function updateStressTest(results) {
+  try {
+    const tbody = document.getElementById('stressTest');
+    if (!tbody) return;
+    tbody.textContent = '';
+
+    results.forEach(result => {
+      const { scenario, change, changeValue, breach } = result;
+      const row = document.createElement('tr');
+      row.style.borderBottom = '1px solid var(--bg-hover)';
+
+      const others = { ...scenario.shocks };
+      delete others.bitcoin;
+      [
+        scenario.name,
+        (scenario.shocks.bitcoin > 0 ? '+' : '') + (scenario.shocks.bitcoin || 0) + '%',
+        Object.keys(others).length ? describeShocks(others) : 'Flat',
+        (changeValue >= 0 ? '+' : '') + formatCurrency(changeValue),
+        (change >= 0 ? '+' : '') + change.toFixed(1) + '%',
+        formatRecovery(result),
+        breach ? 'Breached' : 'Within'
+      ].forEach((text, i) => {
+        const cell = document.createElement('td');
+        cell.style.padding = 'var(--space-sm)';
+        cell.style.textAlign = i === 0 || i === 2 ? 'left' : 'right';
+        if (i === 2) cell.style.fontSize = '0.875rem';
+        if (i === 3 || i === 4) cell.style.color = change >= 0 ? 'var(--success)' : 'var(--error)';
+        if (i === 6) cell.style.color = breach ? 'var(--error)' : 'var(--success)';
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+
+    const limit = document.getElementById('stressLimitSummary');
+    if (limit) {
+      const breaches = results.filter(r => r.breach).length;
+      limit.textContent = breaches
+        ? breaches + ' of ' + results.length + ' scenarios lose more than the ' + portfolioCalc.maxLossLimit + '% limit.'
+        : 'No scenario loses more than the ' + portfolioCalc.maxLossLimit + '% limit.';
+      limit.style.color = breaches ? 'var(--error)' : 'var(--success)';
+    }
+  } catch (err) {
+    console.error('Error updating stress test:', err);
+  }
+}
+
+// ===== Shareable State =====
+
+// Every input needed to reproduce the current scenario. Uploaded files are
+// too large for a link, so only bundled datasets are referenced.
+function getPortfolioState() {
+  const dataset = portfolioCalc.activeDataset;
+  const state = {
+    portfolioSize: portfolioCalc.portfolioSize,
+    timeHorizon: portfolioCalc.timeHorizon,
+    startYear: portfolioCalc.startYear,
+    simulationMode: portfolioCalc.simulationMode,
+    returnMode: portfolioCalc.returnMode,
+    mcMethod: portfolioCalc.mcMethod,
+    mcPaths: portfolioCalc.mcPaths,
+    mcSeed: portfolioCalc.mcSeed,
+    rebalancePolicy: portfolioCalc.rebalancePolicy,
+    rebalanceBand: portfolioCalc.rebalanceBand,
+    resolution: portfolioCalc.resolution,
+    cashFlowType: portfolioCalc.cashFlowType,
+    cashFlowAmountType: portfolioCalc.cashFlowAmountType,
+    cashFlowAmount: portfolioCalc.cashFlowAmount,
+    cashFlowFrequency: portfolioCalc.cashFlowFrequency,
+    dcaMonths: portfolioCalc.dcaMonths,
+    maxLossLimit: portfolioCalc.maxLossLimit,
+    customShocks: portfolioCalc.customShocks.map(s => ({ name: s.name, shocks: { ...s.shocks } })),
+    assets: getPortfolioWeights(),
+    benchmarks: portfolioCalc.benchmarks.map(b => ({ name: b.name, weights: { ...b.weights } }))
+  };
+  if (dataset && dataset.source) state.dataset = dataset.source;
+  return state;
+}
+
+function readStateNumber(value, min, max, fallback) {
+  const n = parseFloat(value);
+  return isFinite(n) ? clamp(n, min, max) : fallback;
+}
+
+// Weights keyed by asset id, keeping only assets with data and positive numbers
+function readStateWeights(raw) {
+  const weights = {};
+  if (!raw || typeof raw !== 'object') return weights;
+  const available = getAvailableAssetIds();
+  Object.keys(raw).forEach(id => {
+    const weight = readStateNumber(raw[id], 0, 100, NaN);
+    if (available.includes(id) && !isNaN(weight)) weights[id] = Math.round(weight);
+  });
+  return weights;
+}
+
+/**
+ * Restore a scenario from getPortfolioState(). Links can be edited by hand,
+ * so every field is checked and anything invalid keeps its current value.
+ */
+async function applyPortfolioState(state) {
+  try {
+    // Load bundled data first so its assets exist when weights are applied
+    if (state.dataset && portfolioCalc.bundledDatasets[state.dataset]) {
+      await loadBundledDataset(state.dataset);
+      const select = document.getElementById('bundledDataset');
+      if (select) select.value = state.dataset;
+    }
+
+    const calc = portfolioCalc;
+    calc.portfolioSize = readStateNumber(state.portfolioSize, calc.minPortfolioSize, calc.maxPortfolioSize, calc.portfolioSize);
+    calc.timeHorizon = Math.round(readStateNumber(state.timeHorizon, 1, calc.maxMonteCarloHorizon, calc.timeHorizon));
+    calc.startYear = Math.round(readStateNumber(state.startYear, 1900, 2100, calc.startYear));
+    if (['historical', 'montecarlo'].includes(state.simulationMode)) calc.simulationMode = state.simulationMode;
+    if (['nominal', 'real'].includes(state.returnMode)) calc.returnMode = state.returnMode;
+    if (['bootstrap', 'parametric'].includes(state.mcMethod)) calc.mcMethod = state.mcMethod;
+    calc.mcPaths = Math.round(readStateNumber(state.mcPaths, calc.minPaths, calc.maxPaths, calc.mcPaths));
+    calc.mcSeed = Math.round(Math.abs(readStateNumber(state.mcSeed, -1e9, 1e9, calc.mcSeed)));
+    if (calc.rebalancePolicies[state.rebalancePolicy]) calc.rebalancePolicy = state.rebalancePolicy;
+    calc.rebalanceBand = readStateNumber(state.rebalanceBand, calc.minBand, calc.maxBand, calc.rebalanceBand);
+    if (['none', 'contribution', 'withdrawal'].includes(state.cashFlowType)) calc.cashFlowType = state.cashFlowType;
+    if (['fixed', 'percent'].includes(state.cashFlowAmountType)) calc.cashFlowAmountType = state.cashFlowAmountType;
+    if (['monthly', 'annual'].includes(state.cashFlowFrequency)) calc.cashFlowFrequency = state.cashFlowFrequency;
+    calc.cashFlowAmount = readStateNumber(state.cashFlowAmount, 0, getMaxCashFlowAmount(), calc.cashFlowAmount);
+    calc.dcaMonths = Math.round(readStateNumber(state.dcaMonths, 0, calc.maxDcaMonths, calc.dcaMonths));
+    calc.maxLossLimit = readStateNumber(state.maxLossLimit, 0, 100, calc.maxLossLimit);
+
+    const weights = readStateWeights(state.assets);
+    if (Object.keys(weights).length) {
+      calc.assets = Object.keys(weights).map(id => ({
+        id,
+        weight: Math.min(weights[id], getAssetInfo(id).maxWeight)
+      }));
+      renormalizeWeights(null);
+    }
+
+    if (Array.isArray(state.benchmarks)) {
+      const benchmarks = state.benchmarks
+        .filter(b => b && typeof b.name === 'string' && b.name.trim())
+        .map(b => ({ name: b.name.trim().slice(0, 60), weights: readStateWeights(b.weights) }))
+        .filter(b => Object.keys(b.weights).length && validateAllocation(b.weights))
+        .slice(0, calc.maxBenchmarks);
+      if (benchmarks.length) calc.benchmarks = benchmarks;
+    }
+
+    if (Array.isArray(state.customShocks)) {
+      calc.customShocks = state.customShocks
+        .filter(s => s && typeof s.name === 'string' && s.name.trim() && s.shocks && typeof s.shocks === 'object')
+        .map(s => {
+          const shocks = {};
+          Object.keys(s.shocks).forEach(id => {
+            const move = readStateNumber(s.shocks[id], -100, 1000, NaN);
+            if (isShockAsset(id) && !isNaN(move)) shocks[id] = move;
+          });
+          return { name: s.name.trim().slice(0, 60), shocks };
+        })
+        .filter(s => Object.keys(s.shocks).length)
+        .slice(0, calc.maxCustomShocks);
+    }
+
+    // Resolution last: daily availability depends on the assets held
+    if (isResolutionAvailable(state.resolution)) calc.resolution = state.resolution;
+
+    syncInputsFromState();
+  } catch (err) {
+    console.error('Error applying shared scenario:', err);
+  }
+  calculatePortfolio();
+}
+
+// Push portfolioCalc values back into the form after a scenario is restored
+function syncInputsFromState() {
+  ['portfolioSize', 'simulationMode', 'returnMode', 'mcMethod', 'mcPaths', 'mcSeed', 'rebalancePolicy', 'rebalanceBand',
+    'cashFlowType', 'cashFlowAmountType', 'cashFlowAmount', 'cashFlowFrequency', 'dcaMonths', 'maxLossLimit'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = portfolioCalc[id];
+  });
+  updateModeDisplay();
+  updateRebalanceDisplay();
+  updateCashFlowDisplay();
+  updateResolutionDisplay();
+  renderBenchmarkList();
+  renderShockList();
+}
+
+// ===== Saved Scenarios =====
+
+// Stored records include deleted scenarios, kept as { id, deleted, modifiedAt }
+// so importing an older progress export does not bring them back
+function loadScenarioRecords() {
+  const records = loadFromStorage(portfolioCalc.scenarioStorageKey, []);
+  return Array.isArray(records) ? records : [];
+}
+
+function loadScenarios() {
+  return loadScenarioRecords().filter(s => !s.deleted);
+}
+
+function storeScenarios(records) {
+  return saveToStorage(portfolioCalc.scenarioStorageKey, records);
+}
+
+function showScenarioStatus(message, isError = false) {
+  const status = document.getElementById('scenarioStatus');
+  if (!status) return;
+  status.textContent = message;
+  status.style.display = message ? 'block' : 'none';
+  status.style.color = isError ? 'var(--error)' : '';
+}
+
+/**
+ * Save the current inputs with the metrics and value path of their
+ * historical replay, so the scenario can be compared without recomputing
+ * (its return data may have been an uploaded file).
+ */
+function saveCurrentScenario(name) {
+  const results = portfolioCalc.lastResults;
+  if (!results) return null;
+
+  const records = loadScenarioRecords();
+  const now = Date.now();
+  const scenario = {
+    id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+    name: String(name || '').trim().slice(0, 60) || 'Scenario ' + (records.filter(s => !s.deleted).length + 1),
+    savedAt: now,
+    modifiedAt: now,
+    state: getPortfolioState(),
+    dataName: portfolioCalc.activeDataset ? portfolioCalc.activeDataset.name : 'Built-in data',
+    metrics: {
+      finalValue: results.finalValue,
+      cagr: results.cagr,
+      volatility: results.volatility,
+      sharpe: results.sharpe,
+      maxDrawdown: results.maxDrawdown
     },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: {
-          labels: {
-            color: '#E6EDF3'
-          }
-        },
-        tooltip: {
-          backgroundColor: '#1C2128',
-          titleColor: '#E6EDF3',
-          bodyColor: '#8B949E',
-          callbacks: {
-            label: function(context) {
-              return context.dataset.label + ': ' + formatCurrency(context.raw);
-            }
+    years: portfolioCalc.historicalYears,
+    values: [portfolioCalc.portfolioSize].concat(results.periodValues.map(v => Math.round(v * 100) / 100))
+  };
+
+  records.push(scenario);
+  if (!storeScenarios(records)) {
+    showScenarioStatus('Could not save: browser storage is full or unavailable.', true);
+    return null;
+  }
+  showScenarioStatus('Saved "' + scenario.name + '".');
+  renderScenarioList();
+  return scenario;
+}
+
+function renameScenario(id, name) {
+  const trimmed = String(name || '').trim().slice(0, 60);
+  if (!trimmed) return false;
+  const records = loadScenarioRecords();
+  const scenario = records.find(s => s.id === id && !s.deleted);
+  if (!scenario) return false;
+  scenario.name = trimmed;
+  scenario.modifiedAt = Date.now();
+  storeScenarios(records);
+  if (portfolioCalc.comparing) showScenarioComparison();
+  return true;
+}
+
+function deleteScenario(id) {
+  storeScenarios(loadScenarioRecords().map(s => s.id === id ? { id, deleted: true, modifiedAt: Date.now() } : s));
+  portfolioCalc.selectedScenarioIds = portfolioCalc.selectedScenarioIds.filter(s => s !== id);
+  renderScenarioList();
+  if (portfolioCalc.comparing) {
+    if (portfolioCalc.selectedScenarioIds.length) showScenarioComparison();
+    else exitScenarioComparison();
+  }
+}
+
+function openScenario(id) {
+  const scenario = loadScenarios().find(s => s.id === id);
+  if (!scenario) return;
+  exitScenarioComparison();
+  applyPortfolioState(scenario.state);
+  showScenarioStatus('Loaded "' + scenario.name + '".');
+}
+
+function toggleScenarioSelection(id, selected) {
+  const ids = portfolioCalc.selectedScenarioIds.filter(s => s !== id);
+  if (selected) {
+    if (ids.length >= portfolioCalc.maxCompare) {
+      showScenarioStatus('Select at most ' + portfolioCalc.maxCompare + ' scenarios to compare.', true);
+      renderScenarioList();
+      return;
+    }
+    ids.push(id);
+  }
+  portfolioCalc.selectedScenarioIds = ids;
+  showScenarioStatus('');
+  renderScenarioList();
+  if (portfolioCalc.comparing) {
+    if (ids.length) showScenarioComparison();
+    else exitScenarioComparison();
+  }
+}
+
+function renderScenarioList() {
+  try {
+    const list = document.getElementById('scenarioList');
+    if (!list) return;
+    list.textContent = '';
+
+    const scenarios = loadScenarios();
+    const selected = portfolioCalc.selectedScenarioIds;
+    if (!scenarios.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-muted';
+      empty.style.fontSize = '0.875rem';
+      empty.textContent = 'No saved scenarios yet.';
+      list.appendChild(empty);
+    }
+
+    scenarios.forEach(scenario => {
+      const row = document.createElement('div');
+      row.className = 'calculator-row';
+
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = selected.includes(scenario.id);
+      check.setAttribute('aria-label', 'Compare ' + scenario.name);
+      check.addEventListener('change', e => toggleScenarioSelection(scenario.id, e.target.checked));
+
+      // Editing the name in place renames the scenario
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.value = scenario.name;
+      name.title = describeWeights(scenario.state.assets || {}) + ' · CAGR ' + scenario.metrics.cagr.toFixed(1) + '%';
+      name.setAttribute('aria-label', 'Scenario name');
+      name.addEventListener('change', e => {
+        if (!renameScenario(scenario.id, e.target.value)) e.target.value = scenario.name;
+      });
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'btn btn-secondary btn-sm';
+      open.textContent = 'Load';
+      open.addEventListener('click', () => openScenario(scenario.id));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-secondary btn-sm';
+      remove.textContent = '\u00d7';
+      remove.setAttribute('aria-label', 'Delete ' + scenario.name);
+      remove.addEventListener('click', () => deleteScenario(scenario.id));
+
+      row.appendChild(check);
+      row.appendChild(name);
+      row.appendChild(open);
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+
+    const compareBtn = document.getElementById('compareScenarios');
+    if (compareBtn) {
+      compareBtn.disabled = !selected.length;
+      compareBtn.textContent = 'Compare Selected (' + selected.length + '/' + portfolioCalc.maxCompare + ')';
+    }
+  } catch (err) {
+    console.error('Error rendering saved scenarios:', err);
+  }
+}
+
+function getSelectedScenarios() {
+  const scenarios = loadScenarios();
+  return portfolioCalc.selectedScenarioIds
+    .map(id => scenarios.find(s => s.id === id))
+    .filter(Boolean);
+}
+
+function showScenarioComparison() {
+  const scenarios = getSelectedScenarios();
+  if (!scenarios.length) return;
+  portfolioCalc.comparing = true;
+
+  const area = document.getElementById('chartArea');
+  if (area) area.style.gridTemplateColumns = '3fr 2fr';
+  const panel = document.getElementById('scenarioComparePanel');
+  if (panel) panel.style.display = 'block';
+  updateChartTitle();
+
+  updateScenarioCompareTable(scenarios);
+  updateScenarioCompareChart(scenarios);
+}
+
+function exitScenarioComparison() {
+  if (!portfolioCalc.comparing) return;
+  portfolioCalc.comparing = false;
+
+  const area = document.getElementById('chartArea');
+  if (area) area.style.gridTemplateColumns = '1fr';
+  const panel = document.getElementById('scenarioComparePanel');
+  if (panel) panel.style.display = 'none';
+  updateChartTitle();
+  calculatePortfolio();
+}
+
+function updateScenarioCompareTable(scenarios) {
+  try {
+    const tbody = document.getElementById('scenarioCompareTable');
+    if (!tbody) return;
+    tbody.textContent = '';
+
+    scenarios.forEach((scenario, index) => {
+      const m = scenario.metrics;
+      const row = document.createElement('tr');
+      row.style.borderBottom = '1px solid var(--bg-hover)';
+      [
+        scenario.name,
+        formatCurrency(m.finalValue),
+        m.cagr.toFixed(1) + '%',
+        m.volatility.toFixed(1) + '%',
+        m.sharpe.toFixed(2),
+        m.maxDrawdown.toFixed(1) + '%'
+      ].forEach((text, i) => {
+        const cell = document.createElement('td');
+        cell.style.padding = 'var(--space-sm)';
+        cell.style.textAlign = i === 0 ? 'left' : 'right';
+        if (i === 0) {
+          cell.style.color = portfolioCalc.scenarioColors[index % portfolioCalc.scenarioColors.length];
+          cell.title = describeWeights(scenario.state.assets || {}) + ' · ' + scenario.dataName;
+        }
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+  } catch (err) {
+    console.error('Error updating scenario comparison:', err);
+  }
+}
+
+// Scenarios can differ in start year and resolution, so they share an axis of elapsed years
+function updateScenarioCompareChart(scenarios) {
+  try {
+    const ctx = preparePortfolioChart();
+    if (!ctx) return;
+
+    const options = getPortfolioChartOptions();
+    options.scales.x.type = 'linear';
+    options.scales.x.min = 0;
+    options.scales.x.ticks.callback = value => 'Year ' + value;
+    options.plugins.tooltip.callbacks.label = context => context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+    options.plugins.tooltip.callbacks.title = items => items.length ? 'Year ' + items[0].parsed.x.toFixed(2) : '';
+
+    window.portfolioChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: scenarios.map((scenario, index) => {
+          const steps = scenario.values.length - 1;
+          return {
+            label: scenario.name,
+            data: scenario.values.map((value, i) => ({ x: steps > 0 ? i * scenario.years / steps : 0, y: value })),
+            borderColor: portfolioCalc.scenarioColors[index % portfolioCalc.scenarioColors.length],
+            pointRadius: 0,
+            tension: 0.1,
+            fill: false
+          };
+        })
+      },
+      options
+    });
+  } catch (err) {
+    console.error('Error creating chart:', err);
+    showChartError('Chart Error', 'An error occurred while creating the chart: ' + (err.message || 'Unknown error'));
+  }
+}
+
+// ===== Export =====
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getDataSourceDescription() {
+  const dataset = portfolioCalc.activeDataset;
+  return dataset
+    ? dataset.name + ' (' + dataset.resolution + ' returns, ' + dataset.keys[0] + ' to ' + dataset.keys[dataset.keys.length - 1] + ')'
+    : 'Built-in approximate historical returns, 2014-2024 (S&P 500, AGG, Bitcoin and index proxies for other assets)';
+}
+
+function describeCashFlows() {
+  const calc = portfolioCalc;
+  if (calc.cashFlowType === 'none' || !calc.cashFlowAmount) return 'None';
+  const amount = calc.cashFlowAmountType === 'percent'
+    ? calc.cashFlowAmount + '% of the portfolio per year, paid ' + calc.cashFlowFrequency
+    : formatCurrency(calc.cashFlowAmount) + ' ' + calc.cashFlowFrequency;
+  return (calc.cashFlowType === 'withdrawal' ? 'Withdraw ' : 'Contribute ') + amount;
+}
+
+// Label/value pairs describing the inputs behind the current results
+function getReportInputs() {
+  const calc = portfolioCalc;
+  const rebalance = calc.rebalancePolicies[calc.rebalancePolicy] +
+    (calc.rebalancePolicy === 'threshold' ? ' (±' + calc.rebalanceBand + ' points)' : '');
+  const inputs = [
+    ['Initial portfolio', formatCurrency(calc.portfolioSize)],
+    ['Allocation', describeWeights(getPortfolioWeights())],
+    ['Benchmarks', getActiveBenchmarks().map(b => b.name + ': ' + describeWeights(b.weights)).join('; ')],
+    ['Period', calc.historicalYears + ' years from ' + calc.startYear],
+    ['Return resolution', calc.resolution],
+    ['Values', calc.returnMode === 'real' ? 'Real (' + calc.startYear + ' dollars, deflated by US CPI)' : 'Nominal dollars'],
+    ['Rebalancing', rebalance],
+    ['Cash flows', describeCashFlows()],
+    ['Bitcoin phase-in', calc.dcaMonths > 0 ? 'Over ' + calc.dcaMonths + ' months' : 'Lump sum'],
+    ['Maximum loss limit', calc.maxLossLimit + '%'],
+    ['Return data', getDataSourceDescription()]
+  ];
+  if (calc.simulationMode === 'montecarlo') {
+    inputs.push(['Monte Carlo', formatNumber(calc.mcPaths) + ' ' + calc.mcMethod + ' paths, seed ' + calc.mcSeed]);
+  }
+  return inputs;
+}
+
+/**
+ * Year-by-year rows for the portfolio and each benchmark: value and return,
+ * followed by the portfolio's net cash flow and year-end weight in each asset.
+ */
+function getYearlyRows() {
+  const results = portfolioCalc.lastResults;
+  const benchmarks = portfolioCalc.lastBenchmarks;
+  const assetIds = Object.keys(results.allocations);
+
+  const header = ['Year', 'Your Portfolio Value', 'Your Portfolio Return (%)'];
+  benchmarks.forEach(({ benchmark }) => {
+    header.push(benchmark.name + ' Value', benchmark.name + ' Return (%)');
+  });
+  header.push('Your Portfolio Net Cash Flow');
+  assetIds.forEach(id => header.push(getAssetInfo(id).label + ' Weight (%)'));
+
+  const rows = results.years.map((year, i) => {
+    const row = [year, results.values[i].toFixed(2), results.returns[i].toFixed(2)];
+    benchmarks.forEach(({ results: b }) => {
+      row.push(b.values[i] !== undefined ? b.values[i].toFixed(2) : '', b.returns[i] !== undefined ? b.returns[i].toFixed(2) : '');
+    });
+    row.push((results.cashFlows[i] || 0).toFixed(2));
+    assetIds.forEach(id => row.push(results.allocations[id][i].toFixed(2)));
+    return row;
+  });
+  return { header, rows };
+}
+
+function exportYearlyCSV() {
+  if (!portfolioCalc.lastResults) return false;
+  const { header, rows } = getYearlyRows();
+  const csv = [header].concat(rows).map(row => row.map(escapeCSV).join(',')).join('\n') + '\n';
+  return downloadFile('portfolio-yearly-' + new Date().toISOString().slice(0, 10) + '.csv', csv, 'text/csv');
+}
+
+function buildReportTable(header, rows) {
+  return '<table><thead><tr>' + header.map(h => '<th>' + escapeHTML(h) + '</th>').join('') + '</tr></thead><tbody>' +
+    rows.map(row => '<tr>' + row.map(cell => '<td>' + escapeHTML(cell) + '</td>').join('') + '</tr>').join('') +
+    '</tbody></table>';
+}
+
+// A standalone, print-ready HTML document for the current results
+function buildReportHTML() {
+  const results = portfolioCalc.lastResults;
+  const benchmarks = portfolioCalc.lastBenchmarks;
+  const primary = benchmarks[0];
+  const chart = window.portfolioChartInstance && typeof window.portfolioChartInstance.toBase64Image === 'function'
+    ? window.portfolioChartInstance.toBase64Image()
+    : null;
+  const chartTitle = document.getElementById('chartTitle');
+  const pct = value => value.toFixed(1) + '%';
+  const signed = (value, text) => (value >= 0 ? '+' : '') + text;
+
+  const metricRow = (label, key, format) => [label, format(primary.results[key]), format(results[key])];
+  const metrics = [
+    metricRow('Final Value', 'finalValue', formatCurrency),
+    metricRow('CAGR', 'cagr', pct),
+    metricRow('Volatility', 'volatility', pct),
+    metricRow('Sharpe Ratio', 'sharpe', v => v.toFixed(2)),
+    metricRow('Max Drawdown', 'maxDrawdown', pct),
+    metricRow('IRR (Money-Weighted)', 'irr', v => v === null ? '—' : pct(v)),
+    metricRow('Turnover / Year', 'turnover', pct)
+  ];
+  const valueDiff = results.finalValue - primary.results.finalValue;
+  const cagrDiff = results.cagr - primary.results.cagr;
+
+  const relative = benchmarks.map(({ benchmark, results: b }) => {
+    const r = calculateRelativeMetrics(results, b, portfolioCalc.historicalYears);
+    return [
+      benchmark.name,
+      pct(b.cagr),
+      signed(r.excessCagr, pct(r.excessCagr)),
+      pct(r.trackingError),
+      r.informationRatio === null ? '—' : r.informationRatio.toFixed(2)
+    ];
+  });
+
+  const mc = portfolioCalc.lastMonteCarlo;
+  const mcSection = mc ? '<h2>Monte Carlo Outcomes (' + formatNumber(mc.withBtc.paths) + ' paths)</h2>' +
+    buildReportTable(['', primary.benchmark.name, 'Your Portfolio'], [
+      ['Chance of Losing Money', pct(mc.traditional.probabilityOfLoss), pct(mc.withBtc.probabilityOfLoss)],
+      ['Median Final Value', formatCurrency(mc.traditional.final[50]), formatCurrency(mc.withBtc.final[50])],
+      ['5th-95th Percentile', formatCurrency(mc.traditional.final[5]) + ' – ' + formatCurrency(mc.traditional.final[95]),
+        formatCurrency(mc.withBtc.final[5]) + ' – ' + formatCurrency(mc.withBtc.final[95])],
+      ['Median Max Drawdown', pct(mc.traditional.medianMaxDrawdown), pct(mc.withBtc.medianMaxDrawdown)]
+    ].concat(portfolioCalc.cashFlowType === 'withdrawal'
+      ? [['Chance of Running Out', pct(mc.traditional.probabilityOfDepletion), pct(mc.withBtc.probabilityOfDepletion)]]
+      : [])) : '';
+
+  const stress = runStressTest(portfolioCalc.portfolioSize, getPortfolioWeights(), getStressScenarios(), results.cagr)
+    .map(r => [
+      r.scenario.name + ' (' + describeShocks(r.scenario.shocks) + ')',
+      formatCurrency(r.changeValue),
+      pct(r.change),
+      formatRecovery(r),
+      r.breach ? 'Breached' : 'Within'
+    ]);
+
+  const yearly = getYearlyRows();
+  const yearlyColumns = 3 + benchmarks.length * 2;
+  const yearlyRows = yearly.rows.map(row => row.slice(0, yearlyColumns).map((cell, i) => {
+    if (i === 0 || cell === '') return cell;
+    return i % 2 === 1 ? formatCurrency(parseFloat(cell)) : pct(parseFloat(cell));
+  }));
+
+  return '<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8">' +
+    '<title>Portfolio Allocation Report</title><style>' +
+    'body{font-family:Georgia,serif;color:#111;max-width:800px;margin:2rem auto;padding:0 1rem;line-height:1.4}' +
+    'h1{font-size:1.6rem;margin-bottom:0}h2{font-size:1.15rem;margin-top:1.75rem;border-bottom:1px solid #999}' +
+    'table{width:100%;border-collapse:collapse;font-size:0.85rem}th,td{padding:4px 6px;border-bottom:1px solid #ddd;text-align:right}' +
+    'th:first-child,td:first-child{text-align:left}th{border-bottom:2px solid #333}' +
+    'img{width:100%;border:1px solid #ddd}.meta{color:#555;font-size:0.85rem}.disclaimer{font-size:0.8rem;color:#444;margin-top:2rem}' +
+    '.actions{margin:1rem 0}@media print{.actions{display:none}body{margin:0}h2{break-after:avoid}tr{break-inside:avoid}}' +
+    '</style></head><body>' +
+    '<div class="actions"><button onclick="window.print()">Print / Save as PDF</button></div>' +
+    '<h1>Portfolio Allocation Report</h1>' +
+    '<p class="meta">Bitcoin for Institutions · Prepared ' + escapeHTML(new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })) + '</p>' +
+    '<h2>Inputs</h2>' + buildReportTable(['Input', 'Value'], getReportInputs()) +
+    (chart ? '<h2>' + escapeHTML(chartTitle ? chartTitle.textContent : 'Portfolio Value Over Time') + '</h2><img src="' + chart + '" alt="Portfolio chart">' : '') +
+    '<h2>Historical Replay</h2>' + buildReportTable(['Metric', primary.benchmark.name, 'Your Portfolio'], metrics) +
+    '<p>Compared to ' + escapeHTML(primary.benchmark.name) + ', the portfolio would have ended with ' +
+    escapeHTML(signed(valueDiff, formatCurrency(valueDiff))) + ' and a CAGR difference of ' + escapeHTML(signed(cagrDiff, pct(cagrDiff))) + '.</p>' +
+    '<h2>Relative to Each Benchmark</h2>' +
+    buildReportTable(['Benchmark', 'Benchmark CAGR', 'Excess CAGR', 'Tracking Error', 'Information Ratio'], relative) +
+    mcSection +
+    '<h2>Stress Test</h2>' + buildReportTable(['Scenario', 'Change ($)', 'Change (%)', 'Recovery', 'Loss Limit'], stress) +
+    '<h2>Year-by-Year Values</h2>' + buildReportTable(yearly.header.slice(0, yearlyColumns), yearlyRows) +
+    '<p class="disclaimer"><strong>Important:</strong> Results are hypothetical and based on ' + escapeHTML(getDataSourceDescription()) +
+    '. They do not reflect fees, taxes or trading costs. Past performance does not guarantee future results. ' +
+    'This report is for educational purposes and is not investment advice.</p>' +
+    '</body></html>';
+}
+
+function openReport() {
+  try {
+    if (!portfolioCalc.lastResults) return;
+    const html = buildReportHTML();
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+
+    // Fall back to a download when pop-ups are blocked
+    if (!window.open(url, '_blank')) {
+      downloadFile('portfolio-report-' + new Date().toISOString().slice(0, 10) + '.html', html, 'text/html');
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    console.error('Error creating report:', err);
+  }
+}
+
+// ===== Return Series =====
+
+// Convert an annual return into the equivalent compounded return per sub-period
+function splitAnnualReturn(annualReturn, steps) {
+  return (Math.pow(1 + annualReturn / 100, 1 / steps) - 1) * 100;
+}
+
+// Assets the portfolio and its benchmark draw returns for
+function getSeriesAssetIds() {
+  const ids = portfolioCalc.assets.map(a => a.id);
+  getActiveBenchmarks().forEach(benchmark => {
+    Object.keys(benchmark.weights).forEach(id => {
+      if (!ids.includes(id)) ids.push(id);
+    });
+  });
+  return ids;
+}
+
+// Whether an asset has its own return series at the resolution (rather than a split annual figure)
+function hasNativeSeries(id, resolution) {
+  if (portfolioCalc.activeDataset) return true;
+  if (resolution === 'daily') return !!(portfolioCalc.dailyReturns && portfolioCalc.dailyReturns[id]);
+  if (resolution === 'monthly') return !!portfolioCalc.monthlyReturns[id];
+  return !!portfolioCalc.historicalReturns[id];
+}
+
+// Calendar years covered by the series at the given resolution
+function getDataYears(resolution) {
+  const years = new Set(getReturnSeries(resolution).keys.map(key => parseInt(key.slice(0, 4), 10)));
+  return Array.from(years).sort((a, b) => a - b);
+}
+
+function isResolutionAvailable(resolution) {
+  // An imported dataset replaces the built-in data at its own resolution only
+  if (portfolioCalc.activeDataset) {
+    return resolution === portfolioCalc.activeDataset.resolution;
+  }
+  if (resolution === 'daily') {
+    return getSeriesAssetIds().every(id => hasNativeSeries(id, 'daily'));
+  }
+  return resolution === 'annual' || resolution === 'monthly';
+}
+
+/**
+ * Period keys and per-asset returns (in assetIds order) at the given
+ * resolution, limited to periods where every asset has data. In real mode
+ * every return is deflated by that period's inflation, so all downstream
+ * values, CAGR, volatility and drawdowns are in constant dollars.
+ * Keys are 'YYYY' (annual), 'YYYY-MM' (monthly) or 'YYYY-MM-DD' (daily).
+ */
+function getReturnSeries(resolution, assetIds = getSeriesAssetIds()) {
+  const series = getNominalReturnSeries(resolution, assetIds);
+  if (portfolioCalc.returnMode !== 'real') return series;
+
+  const periodsByYear = {};
+  series.keys.forEach(key => {
+    const year = key.slice(0, 4);
+    periodsByYear[year] = (periodsByYear[year] || 0) + 1;
+  });
+
+  series.missingInflation = [];
+  series.keys.forEach(key => {
+    let inflation = getPeriodInflation(key, periodsByYear[key.slice(0, 4)]);
+    if (inflation === null) {
+      if (!series.missingInflation.includes(key.slice(0, 4))) series.missingInflation.push(key.slice(0, 4));
+      inflation = 0;
+    }
+    series.returns[key] = series.returns[key].map(r => ((1 + r / 100) / (1 + inflation / 100) - 1) * 100);
+  });
+  return series;
+}
+
+// Inflation for one period: the imported dataset's CPI if it has one, else the built-in annual figure spread evenly
+function getPeriodInflation(key, periodsInYear) {
+  const dataset = portfolioCalc.activeDataset;
+  if (dataset && dataset.inflation && dataset.inflation[key] !== undefined) {
+    return dataset.inflation[key];
+  }
+  const annual = portfolioCalc.cpiInflation[key.slice(0, 4)];
+  if (annual === undefined) return null;
+  return key.length === 4 ? annual : splitAnnualReturn(annual, periodsInYear || 1);
+}
+
+// Inflation for one calendar year: the imported dataset's CPI periods compounded, else the built-in figure
+function getAnnualInflation(year) {
+  const dataset = portfolioCalc.activeDataset;
+  if (dataset && dataset.inflation) {
+    const keys = Object.keys(dataset.inflation).filter(key => key.slice(0, 4) === String(year));
+    if (keys.length) return (keys.reduce((growth, key) => growth * (1 + dataset.inflation[key] / 100), 1) - 1) * 100;
+  }
+  const annual = portfolioCalc.cpiInflation[year];
+  return annual === undefined ? null : annual;
+}
+
+// Compounded annual inflation over a calendar window, from the same CPI that deflates the returns
+function getAverageInflation(startYear, years) {
+  let growth = 1;
+  let counted = 0;
+  for (let year = startYear; year < startYear + years; year++) {
+    const inflation = getAnnualInflation(year);
+    if (inflation === null) continue;
+    growth *= 1 + inflation / 100;
+    counted++;
+  }
+  return counted ? (Math.pow(growth, 1 / counted) - 1) * 100 : 0;
+}
+
+function getNominalReturnSeries(resolution, assetIds) {
+  const assets = assetIds;
+  const series = { keys: [], returns: {} };
+  const dataset = portfolioCalc.activeDataset;
+
+  if (dataset) {
+    if (dataset.resolution !== resolution) return series;
+    if (!assets.every(asset => dataset.returns[asset])) return series;
+    dataset.keys.forEach(key => {
+      series.keys.push(key);
+      series.returns[key] = assets.map(asset => dataset.returns[asset][key]);
+    });
+    return series;
+  }
+
+  if (resolution === 'monthly') {
+    const monthly = portfolioCalc.monthlyReturns;
+    const annual = portfolioCalc.historicalReturns;
+    const monthsOf = (asset, year) => {
+      if (monthly[asset]) return monthly[asset][year];
+      if (annual[asset] && annual[asset][year] !== undefined) {
+        return new Array(12).fill(splitAnnualReturn(annual[asset][year], 12));
+      }
+      return undefined;
+    };
+    Object.keys(annual[assets[0]] || {}).sort().forEach(year => {
+      const months = assets.map(asset => monthsOf(asset, year));
+      if (months.some(m => !m)) return;
+      for (let m = 0; m < 12; m++) {
+        const key = year + '-' + String(m + 1).padStart(2, '0');
+        series.keys.push(key);
+        series.returns[key] = months.map(values => values[m]);
+      }
+    });
+    return series;
+  }
+
+  const source = resolution === 'daily' ? portfolioCalc.dailyReturns : portfolioCalc.historicalReturns;
+  if (!source || !assets.every(asset => source[asset])) return series;
+  Object.keys(source[assets[0]]).sort().forEach(key => {
+    if (assets.some(asset => source[asset][key] === undefined)) return;
+    series.keys.push(key);
+    series.returns[key] = assets.map(asset => source[asset][key]);
+  });
+  return series;
+}
+
+function getQuarter(key) {
+  return Math.floor((parseInt(key.slice(5, 7), 10) - 1) / 3);
+}
+
+/**
+ * Build the step-by-step return path for a calendar window.
+ * Each step carries its returns and whether it closes a quarter or a year;
+ * 'record' marks the steps reported at the chosen resolution.
+ */
+function buildHistoricalPath(resolution, startYear, years, assetIds) {
+  const steps = [];
+
+  if (resolution === 'annual') {
+    const subSteps = portfolioCalc.subStepsPerYear;
+    const series = getReturnSeries('annual', assetIds);
+    for (let i = 0; i < years; i++) {
+      const year = startYear + i;
+      const annual = series.returns[year];
+      if (!annual) break;
+      const returns = annual.map(r => splitAnnualReturn(r, subSteps));
+      for (let s = 0; s < subSteps; s++) {
+        const yearEnd = s === subSteps - 1;
+        steps.push({
+          label: String(year), returns, quarterEnd: true, yearEnd, record: yearEnd,
+          months: 12 / subSteps, duration: 1 / subSteps
+        });
+      }
+    }
+    return steps;
+  }
+
+  const series = getReturnSeries(resolution, assetIds);
+  const byYear = {};
+  series.keys.forEach(key => {
+    const year = key.slice(0, 4);
+    (byYear[year] = byYear[year] || []).push(key);
+  });
+
+  for (let i = 0; i < years; i++) {
+    const keys = byYear[String(startYear + i)];
+    if (!keys) break;
+    keys.forEach((key, k) => {
+      const next = keys[k + 1];
+      steps.push({
+        label: key,
+        returns: series.returns[key],
+        quarterEnd: !next || getQuarter(next) !== getQuarter(key),
+        yearEnd: !next,
+        record: true,
+        months: resolution === 'monthly' || !next || next.slice(5, 7) !== key.slice(5, 7) ? 1 : 0,
+        duration: resolution === 'monthly' ? 1 / 12 : 1 / keys.length
+      });
+    });
+  }
+  return steps;
+}
+
+// ===== Cash Flows =====
+
+// Cash-flow settings for simulateHoldings, from options or the calculator state
+function getCashFlowSchedule(assetIds, options = {}) {
+  const calc = portfolioCalc;
+  const type = options.cashFlowType || calc.cashFlowType;
+  const amountType = options.cashFlowAmountType || calc.cashFlowAmountType;
+  const maxAmount = amountType === 'percent' ? 100 : calc.maxPortfolioSize;
+  return {
+    cashFlow: type === 'none' ? null : {
+      type,
+      amountType,
+      amount: clamp(options.cashFlowAmount ?? calc.cashFlowAmount, 0, maxAmount),
+      frequency: options.cashFlowFrequency || calc.cashFlowFrequency
+    },
+    dcaIndex: assetIds.indexOf(options.dcaAsset || calc.dcaAsset),
+    dcaMonths: Math.round(clamp(options.dcaMonths ?? calc.dcaMonths, 0, calc.maxDcaMonths))
+  };
+}
+
+// Signed cash flow due at the end of a step: positive adds money, negative withdraws it
+function getCashFlowAmount(cashFlow, step, value) {
+  if (!cashFlow || !cashFlow.amount) return 0;
+  const payments = cashFlow.frequency === 'annual' ? (step.yearEnd ? 1 : 0) : step.months;
+  if (!payments) return 0;
+
+  const perPayment = cashFlow.amountType === 'percent'
+    ? value * cashFlow.amount / 100 / (cashFlow.frequency === 'annual' ? 1 : 12)
+    : cashFlow.amount;
+  return (cashFlow.type === 'withdrawal' ? -1 : 1) * perPayment * payments;
+}
+
+// Target weights while the DCA asset has reached only `progress` of its own target
+function getPhasedWeights(targetWeights, dcaIndex, progress) {
+  const full = targetWeights[dcaIndex];
+  const rest = 1 - full;
+  const current = full * progress;
+  return targetWeights.map((w, i) => i === dcaIndex ? current : w * (1 - current) / rest);
+}
+
+/**
+ * Money-weighted return: the annual rate at which the discounted cash flows
+ * (investor's view: money in is negative, money out and the final value are
+ * positive) sum to zero. Found by bisection; null if there is no solution.
+ */
+function calculateIRR(flows, finalValue, finalTime) {
+  const all = flows.concat([{ time: finalTime, amount: finalValue }]);
+  const npv = rate => all.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.time), 0);
+
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low);
+  if (npvLow * npv(high) > 0) return null;
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (npvLow * npvMid <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2 * 100;
+}
+
+// ===== Rebalancing =====
+
+function isRebalanceDue(policy, step, holdings, value, targetWeights, band) {
+  switch (policy) {
+    case 'annual':
+      return step.yearEnd;
+    case 'quarterly':
+      return step.quarterEnd;
+    case 'threshold':
+      return holdings.some((h, i) => Math.abs(h / value - targetWeights[i]) * 100 > band);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Run per-asset holdings through a path of steps from buildHistoricalPath.
+ * Returns the recorded points and year-end values and weights, the trading
+ * the policy required and the cash flows from getCashFlowSchedule. Each
+ * point carries a time-weighted index (growth of $1 ignoring cash flows)
+ * alongside the dollar value.
+ */
+function simulateHoldings(initialValue, targetWeights, steps, policy, band, schedule = {}) {
+  const { cashFlow = null, dcaIndex = -1, dcaMonths = 0 } = schedule;
+  const phasing = dcaIndex >= 0 && dcaMonths > 0 && targetWeights[dcaIndex] > 0 && targetWeights[dcaIndex] < 1;
+  let monthsPhased = 0;
+  let weights = phasing ? getPhasedWeights(targetWeights, dcaIndex, 0) : targetWeights;
+
+  let holdings = weights.map(w => initialValue * w);
+  let traded = 0;
+  let rebalanceCount = 0;
+  let lastValue = initialValue;
+  let index = 1;
+  let time = 0;
+  let yearFlow = 0;
+  let contributed = 0;
+  let withdrawn = 0;
+  let depletedAt = null;
+  const flows = [{ time: 0, amount: -initialValue }];
+  const points = [];
+  const yearEnds = [];
+
+  steps.forEach(step => {
+    holdings = holdings.map((h, i) => h * (1 + step.returns[i] / 100));
+    let value = holdings.reduce((a, b) => a + b, 0);
+    if (lastValue > 0) index *= value / lastValue;
+    time += step.duration || 0;
+
+    if (value > 0 && step.months) {
+      // Buy the next monthly tranche of the DCA asset from the other holdings
+      if (phasing && monthsPhased < dcaMonths) {
+        monthsPhased = Math.min(dcaMonths, monthsPhased + step.months);
+        weights = getPhasedWeights(targetWeights, dcaIndex, monthsPhased / dcaMonths);
+        const buy = value * weights[dcaIndex] - holdings[dcaIndex];
+        const others = value - holdings[dcaIndex];
+        if (buy > 0 && others > 0) {
+          holdings = holdings.map((h, i) => i === dcaIndex ? h + buy : h * (1 - buy / others));
+        }
+      }
+
+      // Contributions are invested at the current targets; withdrawals come out pro rata
+      let flow = getCashFlowAmount(cashFlow, step, value);
+      if (flow > 0) {
+        holdings = holdings.map((h, i) => h + flow * weights[i]);
+        contributed += flow;
+      } else if (flow < 0) {
+        flow = -Math.min(-flow, value);
+        holdings = holdings.map(h => h * (1 + flow / value));
+        withdrawn -= flow;
+        if (value + flow <= 0.01 && depletedAt === null) depletedAt = time;
+      }
+      if (flow) {
+        flows.push({ time, amount: -flow });
+        yearFlow += flow;
+        value += flow;
+      }
+    }
+
+    if (value > 0 && isRebalanceDue(policy, step, holdings, value, weights, band)) {
+      // One-way turnover: half the sum of absolute trades, as a fraction of the portfolio
+      const turnover = holdings.reduce((sum, h, i) => sum + Math.abs(value * weights[i] - h), 0) / 2 / value;
+      if (turnover > 1e-9) {
+        traded += turnover;
+        rebalanceCount++;
+        holdings = weights.map(w => value * w);
+      }
+    }
+    lastValue = value;
+
+    if (step.record) points.push({ label: step.label, value, index });
+    if (step.yearEnd) {
+      yearEnds.push({
+        value,
+        index,
+        flow: yearFlow,
+        weights: holdings.map(h => value > 0 ? h / value * 100 : 0)
+      });
+      yearFlow = 0;
+    }
+  });
+
+  return {
+    points, yearEnds, turnover: traded * 100, rebalanceCount,
+    index, flows, time, contributed, withdrawn, depletedAt
+  };
+}
+
+// Largest peak-to-trough decline across a value path, starting from initialValue
+function getMaxDrawdown(initialValue, values) {
+  let peak = initialValue;
+  let maxDrawdown = 0;
+  for (const value of values) {
+    if (value > peak) peak = value;
+    const drawdown = (peak - value) / peak * 100;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+  }
+  return maxDrawdown;
+}
+
+// weights maps asset id to percentage, e.g. { stocks: 60, bonds: 40 }
+function simulatePortfolio(initialValue, weights, years, startYear, options = {}) {
+  const policy = options.rebalancePolicy || portfolioCalc.rebalancePolicy;
+  const band = options.rebalanceBand ?? portfolioCalc.rebalanceBand;
+  const resolution = options.resolution || portfolioCalc.resolution;
+  const assetIds = Object.keys(weights);
+
+  const results = {
+    resolution,
+    periods: [],
+    periodValues: [],
+    periodReturns: [],
+    years: [],
+    values: [],
+    returns: [],
+    allocations: {},
+    finalValue: initialValue,
+    totalReturn: 0,
+    cagr: 0,
+    volatility: 0,
+    maxDrawdown: 0,
+    sharpe: 0,
+    turnover: 0,
+    rebalanceCount: 0,
+    cashFlows: [],
+    irr: null,
+    contributed: 0,
+    withdrawn: 0,
+    depletedAt: null
+  };
+
+  assetIds.forEach(id => { results.allocations[id] = []; });
+
+  const steps = buildHistoricalPath(resolution, startYear, years, assetIds);
+  const schedule = getCashFlowSchedule(assetIds, options);
+  const path = simulateHoldings(initialValue, assetIds.map(id => weights[id] / 100), steps, policy, band, schedule);
+
+  // Period returns are time-weighted, so cash flows do not count as gains or losses
+  let value = initialValue;
+  let index = 1;
+  path.points.forEach(point => {
+    results.periods.push(point.label);
+    results.periodValues.push(point.value);
+    results.periodReturns.push((point.index / index - 1) * 100);
+    value = point.value;
+    index = point.index;
+  });
+
+  let yearIndex = 1;
+  path.yearEnds.forEach((yearEnd, i) => {
+    results.years.push(startYear + i);
+    results.values.push(yearEnd.value);
+    results.returns.push((yearEnd.index / yearIndex - 1) * 100);
+    results.cashFlows.push(yearEnd.flow);
+    assetIds.forEach((id, a) => results.allocations[id].push(yearEnd.weights[a]));
+    yearIndex = yearEnd.index;
+  });
+
+  // Drawdown is measured on every recorded period, so intra-year crashes show up
+  results.maxDrawdown = getMaxDrawdown(1, path.points.map(point => point.index));
+
+  results.finalValue = value;
+  results.totalReturn = (index - 1) * 100;
+  if (years > 0 && initialValue > 0) {
+    results.cagr = (Math.pow(index, 1 / years) - 1) * 100;
+  } else {
+    results.cagr = 0;
+  }
+  results.irr = initialValue > 0 ? calculateIRR(path.flows, value, path.time) : null;
+  results.contributed = path.contributed;
+  results.withdrawn = path.withdrawn;
+  results.depletedAt = path.depletedAt;
+
+  // Annualize period volatility by the observed number of periods per year
+  const periodsPerYear = years > 0 ? results.periodReturns.length / years : 1;
+  results.volatility = calculateStdDev(results.periodReturns) * Math.sqrt(periodsPerYear);
+  // Real CAGR is measured against the real risk-free rate
+  let riskFree = portfolioCalc.riskFreeRate;
+  if (portfolioCalc.returnMode === 'real') {
+    riskFree = ((1 + riskFree / 100) / (1 + getAverageInflation(startYear, years) / 100) - 1) * 100;
+  }
+  results.sharpe = results.volatility > 0 ? (results.cagr - riskFree) / results.volatility : 0;
+  results.turnover = years > 0 ? path.turnover / years : 0;
+  results.rebalanceCount = path.rebalanceCount;
+
+  return results;
+}
+
+// Run the same allocation under every rebalancing policy
+function comparePolicies(initialValue, weights, years, startYear) {
+  return Object.keys(portfolioCalc.rebalancePolicies).map(policy => ({
+    policy,
+    label: portfolioCalc.rebalancePolicies[policy],
+    results: simulatePortfolio(initialValue, weights, years, startYear, { rebalancePolicy: policy })
+  }));
+}
+
+function updateRebalanceComparison(comparison) {
+  try {
+    const tbody = document.getElementById('rebalanceComparison');
+    if (!tbody) return;
+    tbody.textContent = '';
+
+    comparison.forEach(({ policy, label, results }) => {
+      const row = document.createElement('tr');
+      row.style.borderBottom = '1px solid var(--bg-hover)';
+      if (policy === portfolioCalc.rebalancePolicy) row.style.color = 'var(--primary)';
+
+      const policyLabel = policy === 'threshold' ? label + ' (±' + portfolioCalc.rebalanceBand + '%)' : label;
+      [
+        policyLabel,
+        formatCurrency(results.finalValue),
+        results.cagr.toFixed(1) + '%',
+        results.maxDrawdown.toFixed(1) + '%',
+        results.turnover.toFixed(1) + '%',
+        String(results.rebalanceCount)
+      ].forEach((text, i) => {
+        const cell = document.createElement('td');
+        cell.style.padding = 'var(--space-sm)';
+        cell.style.textAlign = i === 0 ? 'left' : 'right';
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      tbody.appendChild(row);
+    });
+  } catch (err) {
+    console.error('Error updating rebalance comparison:', err);
+  }
+}
+
+function calculateStdDev(arr) {
+  if (!arr || arr.length === 0) return 0;
+  const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
+  const squaredDiffs = arr.map(x => Math.pow(x - mean, 2));
+  return Math.sqrt(squaredDiffs.reduce((a, b) => a + b, 0) / arr.length);
+}
+
+// ===== Return Data Import =====
+
+// Parse a period such as '2019', '2019-03' or '2019-03-15' ('/' also accepted)
+function parsePeriod(raw) {
+  const text = String(raw ?? '').trim().replace(/\//g, '-');
+  let match = text.match(/^(\d{4})$/);
+  if (match) return { key: match[1], resolution: 'annual' };
+
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) {
+    const month = parseInt(match[2], 10);
+    if (month < 1 || month > 12) return null;
+    return { key: match[1] + '-' + String(month).padStart(2, '0'), resolution: 'monthly' };
+  }
+
+  match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    const key = match[1] + '-' + match[2].padStart(2, '0') + '-' + match[3].padStart(2, '0');
+    const date = new Date(key + 'T00:00:00Z');
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== key) return null;
+    return { key, resolution: 'daily' };
+  }
+
+  return null;
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse CSV text into raw rows. The header must name an asset column, a
+ * return column and either a period/date column or year (+ month, day) columns.
+ */
+function parseReturnCSV(text) {
+  const errors = [];
+  const rows = [];
+  const lines = String(text).split(/\r?\n/);
+  let headerIndex = lines.findIndex(line => line.trim() && !line.trim().startsWith('#'));
+
+  if (headerIndex === -1) {
+    return { rows, errors: ['The file is empty.'] };
+  }
+
+  const header = splitCSVLine(lines[headerIndex]).map(h => h.toLowerCase());
+  const col = name => header.findIndex(h => h === name);
+  const periodCol = col('period') !== -1 ? col('period') : col('date');
+  const yearCol = col('year');
+  const monthCol = col('month');
+  const dayCol = col('day');
+  const assetCol = col('asset');
+  const returnCol = header.findIndex(h => h.startsWith('return'));
+
+  if ((periodCol === -1 && yearCol === -1) || assetCol === -1 || returnCol === -1) {
+    return { rows, errors: ['Missing header row: expected columns "period, asset, return" (or "year, month, asset, return").'] };
+  }
+
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const fields = splitCSVLine(line);
+    let period = periodCol !== -1 ? fields[periodCol] : fields[yearCol];
+    if (periodCol === -1 && monthCol !== -1 && fields[monthCol]) {
+      period += '-' + fields[monthCol];
+      if (dayCol !== -1 && fields[dayCol]) period += '-' + fields[dayCol];
+    }
+
+    rows.push({ line: i + 1, period, asset: fields[assetCol], return: fields[returnCol] });
+  }
+
+  return { rows, errors };
+}
+
+// Accepts an array of rows or { name, description, rows: [...] }
+function parseReturnJSON(data) {
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.rows) ? data.rows : null);
+  if (!list) {
+    return { rows: [], errors: ['JSON must be an array of rows or an object with a "rows" array.'] };
+  }
+
+  const rows = list.map((row, i) => {
+    const item = row || {};
+    let period = item.period ?? item.date ?? item.year;
+    if (item.period === undefined && item.date === undefined && item.month !== undefined) {
+      period = item.year + '-' + item.month + (item.day !== undefined ? '-' + item.day : '');
+    }
+    return { line: i + 1, period, asset: item.asset, return: item.return };
+  });
+
+  return { rows, errors: [], name: data.name, description: data.description };
+}
+
+// Expected consecutive keys between two periods (annual and monthly only)
+function getPeriodSequence(first, last, resolution) {
+  const keys = [];
+  if (resolution === 'annual') {
+    for (let y = parseInt(first, 10); y <= parseInt(last, 10); y++) keys.push(String(y));
+  } else if (resolution === 'monthly') {
+    let year = parseInt(first.slice(0, 4), 10);
+    let month = parseInt(first.slice(5, 7), 10);
+    const end = parseInt(last.slice(0, 4), 10) * 12 + parseInt(last.slice(5, 7), 10);
+    while (year * 12 + month <= end) {
+      keys.push(year + '-' + String(month).padStart(2, '0'));
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+  }
+  return keys;
+}
+
+function findGaps(keys, resolution) {
+  const gaps = [];
+  if (keys.length < 2) return gaps;
+
+  if (resolution === 'daily') {
+    // Weekends and holidays are expected; flag anything longer than a week
+    for (let i = 1; i < keys.length; i++) {
+      const days = (new Date(keys[i]) - new Date(keys[i - 1])) / 86400000;
+      if (days > 7) gaps.push(days + '-day gap between ' + keys[i - 1] + ' and ' + keys[i]);
+    }
+    return gaps;
+  }
+
+  const present = new Set(keys);
+  getPeriodSequence(keys[0], keys[keys.length - 1], resolution)
+    .filter(key => !present.has(key))
+    .forEach(key => gaps.push('missing ' + key));
+  return gaps;
+}
+
+/**
+ * Validate raw rows and build a dataset usable by getReturnSeries.
+ * Returns { dataset, errors, warnings }; dataset is null when errors exist.
+ */
+function buildReturnDataset(rawRows, name) {
+  const errors = [];
+  const warnings = [];
+  const returns = {};
+  const labels = {};
+  let resolution = null;
+
+  rawRows.forEach(row => {
+    const where = 'Row ' + row.line + ': ';
+    const period = parsePeriod(row.period);
+    if (!period) {
+      errors.push(where + 'period "' + (row.period ?? '') + '" is not a year (2019), month (2019-03) or date (2019-03-15).');
+      return;
+    }
+    if (!resolution) resolution = period.resolution;
+    if (period.resolution !== resolution) {
+      errors.push(where + 'period "' + row.period + '" is ' + period.resolution + ' but earlier rows are ' + resolution + '.');
+      return;
+    }
+
+    const rawAsset = String(row.asset ?? '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+    const asset = portfolioCalc.assetAliases[rawAsset] || rawAsset;
+    if (!asset) {
+      errors.push(where + 'asset "' + (row.asset ?? '') + '" needs at least one letter or digit.');
+      return;
+    }
+    if (!labels[asset]) {
+      labels[asset] = portfolioCalc.assetCatalog[asset] ? portfolioCalc.assetCatalog[asset].label : String(row.asset).trim();
+    }
+
+    const value = typeof row.return === 'number' ? row.return : parseFloat(String(row.return ?? '').replace('%', ''));
+    if (!isFinite(value)) {
+      errors.push(where + 'return "' + (row.return ?? '') + '" is not a number.');
+      return;
+    }
+    if (value <= -100) {
+      errors.push(where + 'return ' + value + '% would wipe out the asset; returns must be above -100%.');
+      return;
+    }
+
+    returns[asset] = returns[asset] || {};
+    if (returns[asset][period.key] !== undefined) {
+      errors.push(where + 'duplicate ' + asset + ' return for ' + period.key + '.');
+      return;
+    }
+    returns[asset][period.key] = value;
+  });
+
+  // CPI rows are inflation for real mode, not an investable asset
+  const inflation = returns.cpi || {};
+  delete returns.cpi;
+  delete labels.cpi;
+
+  portfolioCalc.requiredAssets.forEach(asset => {
+    if (!returns[asset]) errors.push('No rows for required asset "' + asset + '".');
+  });
+  Object.keys(returns).forEach(asset => {
+    const keys = Object.keys(returns[asset]).sort();
+    findGaps(keys, resolution).forEach(gap => errors.push(asset + ': ' + gap + '.'));
+  });
+
+  if (errors.length) {
+    return { dataset: null, errors, warnings };
+  }
+
+  // Simulate only the periods every asset covers
+  const assetKeys = Object.keys(returns).map(asset => Object.keys(returns[asset]));
+  const keys = assetKeys[0].filter(key => assetKeys.every(list => list.includes(key))).sort();
+  const dropped = new Set(assetKeys.flat()).size - keys.length;
+  if (dropped > 0) {
+    warnings.push(dropped + ' period(s) not covered by every asset were dropped.');
+  }
+  if (keys.length < 2) {
+    return { dataset: null, errors: ['Fewer than two periods are covered by every asset.'], warnings };
+  }
+
+  return {
+    dataset: { name: name || 'Custom data', resolution, keys, returns, labels, inflation },
+    errors,
+    warnings
+  };
+}
+
+function applyReturnDataset(dataset) {
+  portfolioCalc.activeDataset = dataset;
+  if (dataset) portfolioCalc.resolution = dataset.resolution;
+  syncAssetsWithData();
+  renderBenchmarkList();
+  updateResolutionDisplay();
+  updateDataSourceDisplay();
+  calculatePortfolio();
+}
+
+function showDataStatus(type, title, messages = []) {
+  const status = document.getElementById('dataStatus');
+  if (!status) return;
+
+  status.style.display = 'block';
+  status.className = 'callout callout-' + type;
+  status.textContent = '';
+
+  const heading = document.createElement('div');
+  heading.className = 'callout-title';
+  heading.textContent = title;
+  status.appendChild(heading);
+
+  if (messages.length) {
+    const list = document.createElement('ul');
+    list.style.fontSize = '0.875rem';
+    list.style.marginBottom = '0';
+    messages.slice(0, portfolioCalc.maxImportErrors).forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    if (messages.length > portfolioCalc.maxImportErrors) {
+      const more = document.createElement('li');
+      more.textContent = '...and ' + (messages.length - portfolioCalc.maxImportErrors) + ' more.';
+      list.appendChild(more);
+    }
+    status.appendChild(list);
+  }
+}
+
+function updateDataSourceDisplay() {
+  const dataset = portfolioCalc.activeDataset;
+  const label = document.getElementById('dataSourceLabel');
+  if (label) {
+    label.textContent = dataset
+      ? dataset.name + ' (' + dataset.resolution + ', ' + dataset.keys[0] + ' to ' + dataset.keys[dataset.keys.length - 1] + ')'
+      : 'Built-in data (2014-2024)';
+  }
+  const resetBtn = document.getElementById('useBuiltInData');
+  if (resetBtn) resetBtn.disabled = !dataset;
+}
+
+// source identifies a bundled dataset so shared links can reload it
+function loadReturnData(rows, parseErrors, name, source = null) {
+  if (parseErrors.length) {
+    showDataStatus('error', 'Could not read the file', parseErrors);
+    return false;
+  }
+
+  const { dataset, errors, warnings } = buildReturnDataset(rows, name);
+  if (!dataset) {
+    showDataStatus('error', 'Data not loaded: ' + errors.length + ' problem(s) found', errors.concat(warnings));
+    return false;
+  }
+
+  dataset.source = source;
+  applyReturnDataset(dataset);
+  showDataStatus(warnings.length ? 'warning' : 'success',
+    'Loaded ' + dataset.keys.length + ' ' + dataset.resolution + ' periods', warnings);
+  return true;
+}
+
+function handleDataFile(e) {
+  const file = e.target.files && e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const text = String(reader.result);
+    const name = file.name.replace(/\.(csv|json)$/i, '');
+
+    if (/\.json$/i.test(file.name)) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        showDataStatus('error', 'Could not read the file', ['Invalid JSON: ' + err.message]);
+        return;
+      }
+      const parsed = parseReturnJSON(data);
+      loadReturnData(parsed.rows, parsed.errors, parsed.name || name);
+    } else {
+      const parsed = parseReturnCSV(text);
+      loadReturnData(parsed.rows, parsed.errors, name);
+    }
+  };
+  reader.onerror = () => showDataStatus('error', 'Could not read the file', ['The browser was unable to read ' + file.name + '.']);
+  reader.readAsText(file);
+
+  // Allow the same file to be chosen again after fixing it
+  e.target.value = '';
+}
+
+async function loadBundledDataset(id) {
+  const url = portfolioCalc.bundledDatasets[id];
+  if (!url) return false;
+
+  const data = await loadJSON(url);
+  if (!data) {
+    showDataStatus('error', 'Could not load bundled data', ['The dataset at ' + url + ' could not be fetched.']);
+    return false;
+  }
+  const parsed = parseReturnJSON(data);
+  return loadReturnData(parsed.rows, parsed.errors, parsed.name, id);
+}
+
+function useBuiltInData() {
+  applyReturnDataset(null);
+  const select = document.getElementById('bundledDataset');
+  if (select) select.value = '';
+  showDataStatus('info', 'Using built-in data');
+}
+
+// ===== Monte Carlo =====
+
+// Mean vector and Cholesky factor of the covariance of per-period log returns
+function getLogReturnModel(rows) {
+  const logRows = rows.map(row => row.map(r => Math.log(1 + r / 100)));
+  const n = logRows.length;
+  const k = logRows[0].length;
+  const mean = [];
+  for (let j = 0; j < k; j++) {
+    mean.push(logRows.reduce((sum, row) => sum + row[j], 0) / n);
+  }
+
+  const cov = [];
+  for (let a = 0; a < k; a++) {
+    cov.push([]);
+    for (let b = 0; b < k; b++) {
+      cov[a].push(logRows.reduce((sum, row) => sum + (row[a] - mean[a]) * (row[b] - mean[b]), 0) / (n - 1));
+    }
+  }
+
+  const chol = cov.map(() => new Array(k).fill(0));
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = cov[i][j];
+      for (let m = 0; m < j; m++) sum -= chol[i][m] * chol[j][m];
+      chol[i][j] = i === j ? Math.sqrt(Math.max(sum, 0)) : (chol[j][j] > 0 ? sum / chol[j][j] : 0);
+    }
+  }
+
+  return { mean, chol };
+}
+
+// Draw one period of per-asset returns in percent
+function samplePeriodReturns(method, random, rows, model) {
+  if (method === 'parametric') {
+    // Correlated normal log returns keep every asset above -100%
+    const z = model.mean.map(() => randomNormal(random));
+    return model.mean.map((mu, i) => {
+      let x = mu;
+      for (let j = 0; j <= i; j++) x += model.chol[i][j] * z[j];
+      return (Math.exp(x) - 1) * 100;
+    });
+  }
+  // Bootstrap whole periods so cross-asset correlation is preserved
+  return rows[Math.floor(random() * rows.length)];
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Build one sampled path of steps. At annual resolution each draw is spread
+ * over quarterly sub-steps; otherwise one draw is taken per month or day.
+ */
+function buildSampledPath(resolution, years, periodsPerYear, method, random, rows, model) {
+  const steps = [];
+  for (let i = 0; i < years; i++) {
+    if (resolution === 'annual') {
+      const subSteps = portfolioCalc.subStepsPerYear;
+      const returns = samplePeriodReturns(method, random, rows, model).map(r => splitAnnualReturn(r, subSteps));
+      for (let s = 0; s < subSteps; s++) {
+        const yearEnd = s === subSteps - 1;
+        steps.push({ returns, quarterEnd: true, yearEnd, record: yearEnd, months: 12 / subSteps, duration: 1 / subSteps });
+      }
+      continue;
+    }
+    const perQuarter = Math.max(1, Math.round(periodsPerYear / 4));
+    for (let s = 0; s < periodsPerYear; s++) {
+      steps.push({
+        returns: samplePeriodReturns(method, random, rows, model),
+        quarterEnd: (s + 1) % perQuarter === 0 || s === periodsPerYear - 1,
+        yearEnd: s === periodsPerYear - 1,
+        record: true,
+        // Exactly twelve month ends per sampled year
+        months: Math.floor((s + 1) * 12 / periodsPerYear) - Math.floor(s * 12 / periodsPerYear),
+        duration: 1 / periodsPerYear
+      });
+    }
+  }
+  return steps;
+}
+
+function runMonteCarlo(initialValue, weights, years, options = {}) {
+  const method = options.method || 'bootstrap';
+  const paths = options.paths || portfolioCalc.mcPaths;
+  const resolution = options.resolution || portfolioCalc.resolution;
+  const random = createRandom(options.seed ?? portfolioCalc.mcSeed);
+
+  // Sample every asset in play, not just the ones held, so portfolios run
+  // with the same seed draw identical market paths
+  const assetIds = getSeriesAssetIds();
+  Object.keys(weights).forEach(id => {
+    if (!assetIds.includes(id)) assetIds.push(id);
+  });
+  const series = getReturnSeries(resolution, assetIds);
+  const rows = series.keys.map(key => series.returns[key]);
+  const model = method === 'parametric' ? getLogReturnModel(rows) : null;
+  const targetWeights = assetIds.map(id => (weights[id] || 0) / 100);
+  const policy = options.rebalancePolicy || portfolioCalc.rebalancePolicy;
+  const band = options.rebalanceBand ?? portfolioCalc.rebalanceBand;
+
+  // Sample as many periods per year as the history contains (12 months, ~252 trading days)
+  const dataYears = new Set(series.keys.map(key => key.slice(0, 4))).size;
+  const periodsPerYear = resolution === 'annual' ? 1 : Math.max(1, Math.round(rows.length / dataYears));
+
+  // valuesByYear[i] holds every path's value at the end of year i + 1
+  const valuesByYear = Array.from({ length: years }, () => new Float64Array(paths));
+  const finalValues = new Float64Array(paths);
+  const maxDrawdowns = new Float64Array(paths);
+  const schedule = getCashFlowSchedule(assetIds, options);
+  let losses = 0;
+  let depletions = 0;
+
+  for (let p = 0; p < paths; p++) {
+    const steps = buildSampledPath(resolution, years, periodsPerYear, method, random, rows, model);
+    const path = simulateHoldings(initialValue, targetWeights, steps, policy, band, schedule);
+
+    path.yearEnds.forEach((yearEnd, i) => {
+      valuesByYear[i][p] = yearEnd.value;
+    });
+
+    finalValues[p] = path.yearEnds.length ? path.yearEnds[path.yearEnds.length - 1].value : initialValue;
+    maxDrawdowns[p] = getMaxDrawdown(1, path.points.map(point => point.index));
+
+    // A loss means ending with less than was put in, net of withdrawals
+    if (finalValues[p] + path.withdrawn < initialValue + path.contributed) losses++;
+    if (path.depletedAt !== null) depletions++;
+  }
+
+  const results = {
+    years: Array.from({ length: years }, (_, i) => 'Year ' + (i + 1)),
+    bands: {},
+    final: {},
+    paths,
+    probabilityOfLoss: 0,
+    probabilityOfDepletion: 0,
+    medianMaxDrawdown: 0
+  };
+
+  portfolioCalc.percentiles.forEach(p => { results.bands[p] = []; });
+  valuesByYear.forEach(column => {
+    const sorted = Array.from(column).sort((a, b) => a - b);
+    portfolioCalc.percentiles.forEach(p => results.bands[p].push(percentile(sorted, p)));
+  });
+
+  const sortedFinal = Array.from(finalValues).sort((a, b) => a - b);
+  portfolioCalc.percentiles.forEach(p => { results.final[p] = percentile(sortedFinal, p); });
+  results.probabilityOfLoss = losses / paths * 100;
+  results.probabilityOfDepletion = depletions / paths * 100;
+  results.medianMaxDrawdown = percentile(Array.from(maxDrawdowns).sort((a, b) => a - b), 50);
+
+  return results;
+}
+
+function updateMonteCarloMetrics(traditional, withBtc) {
+  setMetric('mcTraditionalLoss', traditional.probabilityOfLoss.toFixed(1) + '%');
+  setMetric('mcTraditionalMedian', formatCurrency(traditional.final[50]));
+  setMetric('mcTraditionalRange', formatCurrency(traditional.final[5]) + ' – ' + formatCurrency(traditional.final[95]));
+  setMetric('mcTraditionalDrawdown', traditional.medianMaxDrawdown.toFixed(1) + '%');
+  setMetric('mcTraditionalDepleted', traditional.probabilityOfDepletion.toFixed(1) + '%');
+
+  setMetric('mcBtcLoss', withBtc.probabilityOfLoss.toFixed(1) + '%');
+  setMetric('mcBtcMedian', formatCurrency(withBtc.final[50]));
+  setMetric('mcBtcRange', formatCurrency(withBtc.final[5]) + ' – ' + formatCurrency(withBtc.final[95]));
+  setMetric('mcBtcDrawdown', withBtc.medianMaxDrawdown.toFixed(1) + '%');
+  setMetric('mcBtcDepleted', withBtc.probabilityOfDepletion.toFixed(1) + '%');
+
+  setMetric('mcPathCount', formatNumber(withBtc.paths));
+}
+
+function updateMetrics(traditional, withBtc) {
+  // Traditional portfolio metrics
+  setMetric('traditionalFinal', formatCurrency(traditional.finalValue));
+  setMetric('traditionalCAGR', traditional.cagr.toFixed(1) + '%');
+  setMetric('traditionalVol', traditional.volatility.toFixed(1) + '%');
+  setMetric('traditionalSharpe', traditional.sharpe.toFixed(2));
+  setMetric('traditionalDrawdown', traditional.maxDrawdown.toFixed(1) + '%');
+  setMetric('traditionalIRR', traditional.irr === null ? '—' : traditional.irr.toFixed(1) + '%');
+
+  // BTC portfolio metrics
+  setMetric('btcFinal', formatCurrency(withBtc.finalValue));
+  setMetric('btcCAGR', withBtc.cagr.toFixed(1) + '%');
+  setMetric('btcVol', withBtc.volatility.toFixed(1) + '%');
+  setMetric('btcSharpe', withBtc.sharpe.toFixed(2));
+  setMetric('btcDrawdown', withBtc.maxDrawdown.toFixed(1) + '%');
+  setMetric('btcIRR', withBtc.irr === null ? '—' : withBtc.irr.toFixed(1) + '%');
+  updateCashFlowSummary(withBtc);
+
+  // Comparison
+  const valueDiff = withBtc.finalValue - traditional.finalValue;
+  const cagrDiff = withBtc.cagr - traditional.cagr;
+
+  setMetric('valueDiff', (valueDiff >= 0 ? '+' : '') + formatCurrency(valueDiff), valueDiff >= 0);
+  setMetric('cagrDiff', (cagrDiff >= 0 ? '+' : '') + cagrDiff.toFixed(1) + '%', cagrDiff >= 0);
+}
+
+function updateCashFlowSummary(results) {
+  const summary = document.getElementById('cashFlowSummary');
+  if (!summary) return;
+  const parts = [];
+  if (results.contributed > 0) parts.push('Contributed ' + formatCurrency(results.contributed));
+  if (results.withdrawn > 0) parts.push('Withdrew ' + formatCurrency(results.withdrawn));
+  if (results.depletedAt !== null) parts.push('Ran out of money after ' + results.depletedAt.toFixed(1) + ' years');
+  summary.textContent = parts.length ? 'Your portfolio: ' + parts.join(' · ') + '.' : '';
+  summary.style.display = parts.length ? '' : 'none';
+}
+
+function setMetric(id, value, isPositive = null) {
+  try {
+    const el = document.getElementById(id);
+    if (el) {
+      el.textContent = value;
+      if (isPositive !== null) {
+        el.classList.remove('positive', 'negative');
+        el.classList.add(isPositive ? 'positive' : 'negative');
+      }
+    }
+  } catch (e) {
+    console.error('Error setting metric:', id, e);
+  }
+}
+
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0
+  }).format(value);
+}
+
+function showChartError(titleText, messageText) {
+  const errorDiv = document.getElementById('chartError');
+  const ctx = document.getElementById('portfolioChart');
+
+  if (errorDiv) {
+    errorDiv.style.display = 'block';
+    errorDiv.textContent = '';
+    const title = document.createElement('div');
+    title.className = 'callout-title';
+    title.textContent = titleText;
+    const msg = document.createElement('p');
+    msg.textContent = messageText;
+    errorDiv.appendChild(title);
+    errorDiv.appendChild(msg);
+  }
+  if (ctx) {
+    ctx.style.display = 'none';
+  }
+}
+
+// Returns the chart canvas ready for a new Chart, or null if charting is unavailable
+function preparePortfolioChart() {
+  const ctx = document.getElementById('portfolioChart');
+  const errorDiv = document.getElementById('chartError');
+
+  if (!ctx) {
+    console.error('Chart canvas not found');
+    showChartError('Chart Container Error', 'Unable to find chart element on the page.');
+    return null;
+  }
+
+  // Destroy existing chart if it exists
+  if (window.portfolioChartInstance) {
+    window.portfolioChartInstance.destroy();
+    window.portfolioChartInstance = null;
+  }
+
+  // Check if Chart.js is loaded
+  if (typeof Chart === 'undefined') {
+    console.warn('Chart.js not loaded');
+    if (errorDiv) {
+      errorDiv.style.display = 'block';
+    }
+    ctx.style.display = 'none';
+    return null;
+  }
+
+  // Hide error message and show chart
+  if (errorDiv) {
+    errorDiv.style.display = 'none';
+  }
+  ctx.style.display = 'block';
+  return ctx;
+}
+
+function getPortfolioChartOptions() {
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        labels: {
+          color: '#E6EDF3'
+        }
+      },
+      tooltip: {
+        backgroundColor: '#1C2128',
+        titleColor: '#E6EDF3',
+        bodyColor: '#8B949E',
+        callbacks: {
+          label: function(context) {
+            return context.dataset.label + ': ' + formatCurrency(context.raw);
           }
         }
+      }
+    },
+    scales: {
+      x: {
+        grid: { color: '#21262D' },
+        ticks: { color: '#8B949E' }
       },
-      scales: {
-        x: {
-          grid: { color: '#21262D' },
-          ticks: { color: '#8B949E' }
-        },
-        y: {
-          grid: { color: '#21262D' },
-          ticks: {
-            color: '#8B949E',
-            callback: function(value) {
-              return '$' + (value / 1000000).toFixed(1) + 'M';
-            }
+      y: {
+        grid: { color: '#21262D' },
+        ticks: {
+          color: '#8B949E',
+          callback: function(value) {
+            return '$' + (value / 1000000).toFixed(1) + 'M';
           }
         }
       }
     }
-  });
+  };
+}
+
+// benchmarks is a list of { benchmark, results }; only the primary one is filled
+function updateChart(benchmarks, withBtc) {
+  try {
+    const ctx = preparePortfolioChart();
+    if (!ctx) return;
+
+    const benchmarkDatasets = benchmarks.map(({ benchmark, results }, i) => {
+      const color = portfolioCalc.benchmarkColors[i % portfolioCalc.benchmarkColors.length];
+      return {
+        label: benchmark.name,
+        data: results.periodValues,
+        borderColor: color,
+        backgroundColor: hexToRgba(color, 0.1),
+        borderDash: i === 0 ? [] : [6, 4],
+        pointRadius: results.resolution === 'annual' ? 3 : 0,
+        tension: 0.1,
+        fill: i === 0
+      };
+    });
+
+    window.portfolioChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: withBtc.periods,
+        datasets: [
+          ...benchmarkDatasets,
+          {
+            label: 'Your Portfolio',
+            data: withBtc.periodValues,
+            borderColor: '#F7931A',
+            backgroundColor: 'rgba(247, 147, 26, 0.1)',
+            pointRadius: withBtc.resolution === 'annual' ? 3 : 0,
+            tension: 0.1,
+            fill: true
+          }
+        ]
+      },
+      options: getPortfolioChartOptions()
+    });
   } catch (err) {
     console.error('Error creating chart:', err);
-    const errorDiv = document.getElementById('chartError');
-    const ctx = document.getElementById('portfolioChart');
+    showChartError('Chart Error', 'An error occurred while creating the chart: ' + (err.message || 'Unknown error'));
+  }
+}
 
-    if (errorDiv) {
-      errorDiv.style.display = 'block';
-      errorDiv.textContent = '';
-      const title = document.createElement('div');
-      title.className = 'callout-title';
-      title.textContent = 'Chart Error';
-      const msg = document.createElement('p');
-      msg.textContent = 'An error occurred while creating the chart: ' + (err.message || 'Unknown error');
-      errorDiv.appendChild(title);
-      errorDiv.appendChild(msg);
-    }
-    if (ctx) {
-      ctx.style.display = 'none';
+function updateMonteCarloChart(traditional, withBtc) {
+  try {
+    const ctx = preparePortfolioChart();
+    if (!ctx) return;
+
+    // Band edges are drawn as pairs; the second of each pair fills back to the first
+    const bandEdge = {
+      borderColor: 'rgba(247, 147, 26, 0.3)',
+      borderWidth: 1,
+      pointRadius: 0,
+      tension: 0.1
+    };
+
+    window.portfolioChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: withBtc.years,
+        datasets: [
+          { ...bandEdge, label: '95th Percentile', data: withBtc.bands[95], fill: false },
+          { ...bandEdge, label: '5th Percentile', data: withBtc.bands[5], fill: '-1', backgroundColor: 'rgba(247, 147, 26, 0.1)' },
+          { ...bandEdge, label: '75th Percentile', data: withBtc.bands[75], fill: false },
+          { ...bandEdge, label: '25th Percentile', data: withBtc.bands[25], fill: '-1', backgroundColor: 'rgba(247, 147, 26, 0.25)' },
+          {
+            label: 'Your Portfolio (Median)',
+            data: withBtc.bands[50],
+            borderColor: '#F7931A',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.1,
+            fill: false
+          },
+          {
+            label: traditional.label + ' (Median)',
+            data: traditional.bands[50],
+            borderColor: '#8B949E',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.1,
+            fill: false
+          }
+        ]
+      },
+      options: getPortfolioChartOptions()
+    });
+  } catch (err) {
+    console.error('Error creating chart:', err);
+    showChartError('Chart Error', 'An error occurred while creating the chart: ' + (err.message || 'Unknown error'));
+  }
+}
+
+function hexToRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return 'rgba(' + (n >> 16) + ', ' + ((n >> 8) & 255) + ', ' + (n & 255) + ', ' + alpha + ')';
+}
+
+function updateDriftChart(results) {
+  try {
+    const ctx = document.getElementById('driftChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    if (window.driftChartInstance) {
+      window.driftChartInstance.destroy();
     }
+
+    const options = getPortfolioChartOptions();
+    options.plugins.tooltip.callbacks.label = context => context.dataset.label + ': ' + context.raw.toFixed(1) + '%';
+    options.scales.y.ticks.callback = value => value + '%';
+    options.scales.y.min = 0;
+    options.scales.y.max = 100;
+    options.scales.y.stacked = true;
+
+    window.driftChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: results.years,
+        datasets: Object.keys(results.allocations).map(id => {
+          const info = getAssetInfo(id);
+          return {
+            label: info.label,
+            data: results.allocations[id],
+            borderColor: info.color,
+            backgroundColor: hexToRgba(info.color, 0.3),
+            pointRadius: 0,
+            fill: true
+          };
+        })
+      },
+      options
+    });
+  } catch (err) {
+    console.error('Error creating drift chart:', err);
   }
 }
 
@@ -0,0 +1,627 @@
+/**
+ * Bitcoin for Institutions - Quiz Engine
+ * Loads per-chapter question banks, shuffles questions and options from a
+ * seed kept in the URL, and saves results per chapter. Every answer is added
+ * to a per-question history that schedules spaced-repetition reviews
+ */
+
+// Quiz State
+const quizEngine = {
+  indexUrl: '../../data/quiz/index.json',
+  bankUrl: '../../data/quiz/',
+  rootUrl: '../../',
+  resultsStorageKey: 'quiz_results',
+  historyStorageKey: 'quiz_history',
+  sessionsStorageKey: 'quiz_sessions',
+  maxSessions: 10, // recent quizzes whose answers are kept for resuming
+  mixedQuestionCount: 10, // questions drawn across all chapters, or due in one review
+  reviewIntervals: [1, 3, 7, 14, 30], // days before a question returns, by correct answers in a row
+  masteryStreak: 3, // correct answers in a row for a question to count as mastered
+  chapters: [],
+  chapter: 'all',
+  seed: 1,
+  questions: [],
+  reviewIds: [], // question ids in a review, fixed when it starts so it can be resumed
+  answers: [],
+  selected: [], // display indices picked on a multiple-select question
+  saved: false
+};
+
+// Initialize quiz
+async function initQuiz() {
+  const index = await loadJSON(quizEngine.indexUrl);
+  if (!index || !Array.isArray(index.chapters)) {
+    showQuizError('The question banks could not be loaded. Please try again later.');
+    return;
+  }
+
+  const banks = await Promise.all(index.chapters.map(entry => loadJSON(quizEngine.bankUrl + entry.bank)));
+  quizEngine.chapters = index.chapters
+    .map((entry, i) => ({
+      id: entry.id,
+      title: entry.title,
+      url: entry.url,
+      questions: banks[i] && Array.isArray(banks[i].questions) ? banks[i].questions.filter(isValidQuestion) : []
+    }))
+    .filter(chapter => chapter.questions.length > 0);
+
+  if (quizEngine.chapters.length === 0) {
+    showQuizError('The question banks could not be loaded. Please try again later.');
+    return;
+  }
+
+  renderChapterPicker();
+  renderMastery();
+
+  const restart = document.getElementById('quizRestart');
+  if (restart) restart.addEventListener('click', () => startQuiz(quizEngine.chapter));
+
+  if (!initUrlState({ getState: getQuizState, applyState: applyQuizState })) {
+    startQuiz('all');
+  }
+}
+
+function showQuizError(message) {
+  const container = document.getElementById('quizContainer');
+  if (!container) return;
+  const callout = document.createElement('div');
+  callout.className = 'callout callout-warning';
+  callout.textContent = message;
+  container.replaceChildren(callout);
+}
+
+// Drop malformed questions rather than breaking the whole quiz
+function isValidQuestion(q) {
+  let valid = q && typeof q.id === 'string' && typeof q.question === 'string';
+  if (valid && q.type === 'numeric') {
+    valid = Number.isFinite(q.correct);
+  } else if (valid && (q.type === 'single' || q.type === 'multiple')) {
+    const inRange = i => Number.isInteger(i) && i >= 0 && Array.isArray(q.options) && i < q.options.length;
+    valid = q.type === 'single'
+      ? inRange(q.correct)
+      : Array.isArray(q.correct) && q.correct.length > 0 && q.correct.every(inRange);
+  } else {
+    valid = false;
+  }
+  return valid;
+}
+
+function renderChapterPicker() {
+  const select = document.getElementById('quizChapter');
+  if (!select) return;
+
+  const all = document.createElement('option');
+  all.value = 'all';
+  all.textContent = 'All Chapters (' + quizEngine.mixedQuestionCount + ' questions)';
+  select.appendChild(all);
+
+  const review = document.createElement('option');
+  review.value = 'review';
+  review.id = 'quizReviewOption';
+  select.appendChild(review);
+  updateReviewOption();
+
+  quizEngine.chapters.forEach(chapter => {
+    const option = document.createElement('option');
+    option.value = chapter.id;
+    option.textContent = chapter.title + ' (' + chapter.questions.length + ')';
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', () => startQuiz(select.value));
+}
+
+function updateReviewOption() {
+  const review = document.getElementById('quizReviewOption');
+  if (review) review.textContent = 'Review Due Questions (' + getDueQuestionIds().length + ' due)';
+}
+
+// ===== Building a Quiz =====
+
+// Fisher-Yates shuffle driven by a seeded generator
+function shuffle(items, random) {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Same chapter, seed and review ids always give the same questions in the same order
+function buildQuiz(chapterId, seed, reviewIds) {
+  const random = createRandom(seed);
+  const pool = [];
+  quizEngine.chapters.forEach(chapter => {
+    chapter.questions.forEach(question => {
+      const included = chapterId === 'review'
+        ? reviewIds.includes(question.id)
+        : chapterId === 'all' || chapter.id === chapterId;
+      if (included) pool.push({ chapter, question });
+    });
+  });
+
+  let questions = shuffle(pool, random);
+  if (chapterId === 'all') questions = questions.slice(0, quizEngine.mixedQuestionCount);
+
+  return questions.map(item => ({
+    chapter: item.chapter,
+    question: item.question,
+    // Display position -> original option index
+    order: item.question.options ? shuffle(item.question.options.map((_, i) => i), random) : []
+  }));
+}
+
+function startQuiz(chapterId, seed) {
+  quizEngine.chapter = chapterId;
+  quizEngine.seed = seed === undefined ? Math.floor(Math.random() * 4294967296) : seed;
+  quizEngine.reviewIds = chapterId === 'review' ? getDueQuestionIds().slice(0, quizEngine.mixedQuestionCount) : [];
+  quizEngine.questions = buildQuiz(chapterId, quizEngine.seed, quizEngine.reviewIds);
+  quizEngine.answers = [];
+  quizEngine.saved = false;
+
+  const select = document.getElementById('quizChapter');
+  if (select) select.value = chapterId;
+
+  saveQuizSession();
+  writeUrlState(getQuizState());
+  showQuestion();
+}
+
+// The URL names the quiz; answers stay in this browser, so a shared link
+// gives its recipient the same questions to answer for themselves
+function getQuizSessionKey() {
+  return quizEngine.chapter + ':' + quizEngine.seed;
+}
+
+function loadQuizSessions() {
+  const sessions = loadFromStorage(quizEngine.sessionsStorageKey, {});
+  return sessions && typeof sessions === 'object' && !Array.isArray(sessions) ? sessions : {};
+}
+
+function saveQuizSession() {
+  const sessions = loadQuizSessions();
+  sessions[getQuizSessionKey()] = { answers: quizEngine.answers, saved: quizEngine.saved, lastSeen: Date.now() };
+  const recent = Object.entries(sessions)
+    .sort((a, b) => (b[1].lastSeen || 0) - (a[1].lastSeen || 0))
+    .slice(0, quizEngine.maxSessions);
+  saveToStorage(quizEngine.sessionsStorageKey, Object.fromEntries(recent));
+}
+
+// ===== Answers =====
+
+// Answers are kept against original option indices so they survive reshuffling
+function isValidAnswer(q, answer) {
+  if (q.type === 'numeric') return Number.isFinite(answer);
+  const inRange = i => Number.isInteger(i) && i >= 0 && i < q.options.length;
+  if (q.type === 'single') return inRange(answer);
+  return Array.isArray(answer) && answer.length > 0 && answer.every(inRange);
+}
+
+function isCorrectAnswer(q, answer) {
+  if (q.type === 'numeric') return Math.abs(answer - q.correct) <= (q.tolerance || 0);
+  if (q.type === 'single') return answer === q.correct;
+  return answer.length === q.correct.length && q.correct.every(i => answer.includes(i));
+}
+
+function formatNumericAnswer(q, value) {
+  const number = formatNumber(value, Number.isInteger(value) ? 0 : 2);
+  if (q.unit === '$') return '$' + number;
+  if (q.unit === '%') return number + '%';
+  return q.unit ? number + ' ' + q.unit : number;
+}
+
+function submitAnswer(answer) {
+  const item = quizEngine.questions[quizEngine.answers.length];
+  if (!item || !isValidAnswer(item.question, answer)) return;
+
+  quizEngine.answers.push(answer);
+  saveQuizSession();
+  recordAnswer(item, isCorrectAnswer(item.question, answer));
+  showFeedback(item, answer);
+}
+
+// ===== Review Schedule =====
+
+function loadQuizHistory() {
+  return loadFromStorage(quizEngine.historyStorageKey) || {};
+}
+
+// A miss makes the question due again straight away; each correct answer in a
+// row pushes it further out
+function recordAnswer(item, correct) {
+  const history = loadQuizHistory();
+  const now = Date.now();
+  const entry = history[item.question.id] || { chapter: item.chapter.id, attempts: 0, correct: 0, streak: 0 };
+  const intervals = quizEngine.reviewIntervals;
+
+  entry.attempts++;
+  if (correct) entry.correct++;
+  entry.streak = correct ? entry.streak + 1 : 0;
+  entry.lastCorrect = correct;
+  entry.lastSeen = now;
+  entry.due = correct ? now + intervals[Math.min(entry.streak, intervals.length) - 1] * 86400000 : now;
+  history[item.question.id] = entry;
+
+  saveToStorage(quizEngine.historyStorageKey, history);
+  updateReviewOption();
+  renderMastery();
+}
+
+// Ids of seen questions that are due, longest overdue first
+function getDueQuestionIds() {
+  const history = loadQuizHistory();
+  const now = Date.now();
+  const ids = [];
+  quizEngine.chapters.forEach(chapter => {
+    chapter.questions.forEach(q => {
+      if (history[q.id] && history[q.id].due <= now) ids.push(q.id);
+    });
+  });
+  return ids.sort((a, b) => history[a].due - history[b].due);
+}
+
+function showNothingDue() {
+  const history = loadQuizHistory();
+  const upcoming = Object.keys(history).map(id => history[id].due).sort((a, b) => a - b)[0];
+
+  document.getElementById('quizContainer').style.display = 'block';
+  document.getElementById('quizProgress').style.display = 'none';
+  document.getElementById('quizResults').style.display = 'none';
+
+  const callout = document.createElement('div');
+  callout.className = 'callout callout-info';
+  callout.textContent = upcoming
+    ? 'Nothing is due for review. The next question comes back on ' +
+      new Date(upcoming).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) + '.'
+    : 'Nothing to review yet. Questions you answer in a chapter or mixed quiz are scheduled for review here.';
+  document.getElementById('quizContainer').replaceChildren(callout);
+}
+
+// ===== Rendering =====
+
+function showQuestion() {
+  const current = quizEngine.answers.length;
+  if (quizEngine.questions.length === 0) {
+    showNothingDue();
+    return;
+  }
+  if (current >= quizEngine.questions.length) {
+    showResults();
+    return;
+  }
+
+  document.getElementById('quizContainer').style.display = 'block';
+  document.getElementById('quizProgress').style.display = 'block';
+  document.getElementById('quizResults').style.display = 'none';
+  document.getElementById('quizProgressFill').style.width = (current / quizEngine.questions.length) * 100 + '%';
+
+  const item = quizEngine.questions[current];
+  const q = item.question;
+  quizEngine.selected = [];
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'quiz-question';
+
+  const number = document.createElement('div');
+  number.className = 'quiz-question-number';
+  number.textContent = 'Question ' + (current + 1) + ' of ' + quizEngine.questions.length +
+    (quizEngine.chapter === 'all' || quizEngine.chapter === 'review' ? ' - ' + item.chapter.title.split(':')[0] : '');
+  wrapper.appendChild(number);
+
+  const text = document.createElement('div');
+  text.className = 'quiz-question-text';
+  text.textContent = q.question;
+  wrapper.appendChild(text);
+
+  const options = document.createElement('div');
+  options.className = 'quiz-options';
+  options.id = 'quizOptions';
+  wrapper.appendChild(options);
+
+  const actions = document.createElement('div');
+  actions.className = 'text-center mt-3';
+  actions.id = 'quizActions';
+
+  if (q.type === 'numeric') {
+    const row = document.createElement('div');
+    row.className = 'calculator-row';
+    row.style.cssText = 'flex-direction: column; align-items: stretch;';
+    const label = document.createElement('label');
+    label.htmlFor = 'quizNumericAnswer';
+    label.textContent = 'Your answer' + (q.unit ? ' (' + q.unit + ')' : '');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = 'quizNumericAnswer';
+    input.step = 'any';
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter') submitAnswer(parseFloat(input.value));
+    });
+    row.appendChild(label);
+    row.appendChild(input);
+    options.appendChild(row);
+  } else {
+    item.order.forEach((original, position) => {
+      const option = document.createElement('div');
+      option.className = 'quiz-option';
+      option.dataset.index = original;
+      option.textContent = q.options[original];
+      option.addEventListener('click', () => selectOption(item, option, position));
+      options.appendChild(option);
+    });
+  }
+
+  if (q.type !== 'single') {
+    const check = document.createElement('button');
+    check.type = 'button';
+    check.className = 'btn btn-primary';
+    check.id = 'quizCheck';
+    check.textContent = 'Check Answer';
+    check.addEventListener('click', () => {
+      if (q.type === 'numeric') {
+        submitAnswer(parseFloat(document.getElementById('quizNumericAnswer').value));
+      } else {
+        submitAnswer(quizEngine.selected.map(position => item.order[position]).sort((a, b) => a - b));
+      }
+    });
+    actions.appendChild(check);
+  }
+  wrapper.appendChild(actions);
+
+  const explanation = document.createElement('div');
+  explanation.className = 'quiz-explanation';
+  explanation.id = 'quizExplanation';
+  wrapper.appendChild(explanation);
+
+  document.getElementById('quizContainer').replaceChildren(wrapper);
+}
+
+function selectOption(item, option, position) {
+  if (quizEngine.answers.length > quizEngine.questions.indexOf(item)) return;
+
+  if (item.question.type === 'single') {
+    submitAnswer(item.order[position]);
+    return;
+  }
+
+  const i = quizEngine.selected.indexOf(position);
+  if (i === -1) {
+    quizEngine.selected.push(position);
+  } else {
+    quizEngine.selected.splice(i, 1);
+  }
+  option.classList.toggle('selected', i === -1);
+}
+
+function showFeedback(item, answer) {
+  const q = item.question;
+  const correct = isCorrectAnswer(q, answer);
+
+  document.querySelectorAll('#quizOptions .quiz-option').forEach(option => {
+    const index = Number(option.dataset.index);
+    const isAnswer = q.type === 'single' ? index === q.correct : q.correct.includes(index);
+    const picked = q.type === 'single' ? index === answer : answer.includes(index);
+    option.classList.remove('selected');
+    if (isAnswer) {
+      option.classList.add('correct');
+    } else if (picked) {
+      option.classList.add('incorrect');
+    }
+  });
+
+  const input = document.getElementById('quizNumericAnswer');
+  if (input) input.disabled = true;
+
+  const explanation = document.getElementById('quizExplanation');
+  if (q.type === 'numeric') {
+    const verdict = document.createElement('strong');
+    verdict.textContent = (correct ? 'Correct: ' : 'The answer is ') + formatNumericAnswer(q, q.correct) + '. ';
+    explanation.appendChild(verdict);
+  }
+  explanation.appendChild(document.createTextNode(q.explanation + ' '));
+
+  const source = document.createElement('a');
+  source.href = quizEngine.rootUrl + item.chapter.url + (q.section ? '#' + q.section : '');
+  source.textContent = 'Read more in ' + item.chapter.title.split(':')[0];
+  explanation.appendChild(source);
+  explanation.classList.add('show');
+
+  const actions = document.getElementById('quizActions');
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'btn btn-primary';
+  next.textContent = quizEngine.answers.length < quizEngine.questions.length ? 'Next Question' : 'See Results';
+  next.addEventListener('click', showQuestion);
+  actions.replaceChildren(next);
+}
+
+// ===== Results =====
+
+// Score each chapter the quiz drew from
+function scoreQuizByChapter() {
+  const byChapter = [];
+  quizEngine.questions.forEach((item, i) => {
+    let entry = byChapter.find(e => e.chapter === item.chapter);
+    if (!entry) {
+      entry = { chapter: item.chapter, score: 0, total: 0 };
+      byChapter.push(entry);
+    }
+    entry.total++;
+    if (isCorrectAnswer(item.question, quizEngine.answers[i])) entry.score++;
+  });
+  return byChapter;
+}
+
+function saveQuizResults(byChapter, score, total) {
+  const results = loadFromStorage(quizEngine.resultsStorageKey) || {};
+  const date = Date.now();
+
+  byChapter.forEach(entry => {
+    const previous = results[entry.chapter.id] || { attempts: 0, best: 0 };
+    const percent = Math.round((entry.score / entry.total) * 100);
+    results[entry.chapter.id] = {
+      score: entry.score,
+      total: entry.total,
+      best: Math.max(previous.best, percent),
+      attempts: previous.attempts + 1,
+      date
+    };
+  });
+
+  saveToStorage(quizEngine.resultsStorageKey, results);
+  saveToStorage('quiz_score', { score, total, chapter: quizEngine.chapter, date });
+}
+
+function showResults() {
+  document.getElementById('quizContainer').style.display = 'none';
+  document.getElementById('quizProgress').style.display = 'none';
+  document.getElementById('quizResults').style.display = 'block';
+
+  const byChapter = scoreQuizByChapter();
+  const total = quizEngine.questions.length;
+  const score = byChapter.reduce((sum, entry) => sum + entry.score, 0);
+  document.getElementById('finalScore').textContent = score + '/' + total;
+
+  const percentage = (score / total) * 100;
+  let message;
+  if (percentage === 100) {
+    message = "Perfect score! You've mastered institutional Bitcoin concepts.";
+  } else if (percentage >= 80) {
+    message = 'Excellent! You have a strong understanding of the material.';
+  } else if (percentage >= 60) {
+    message = 'Good effort! Consider reviewing the chapters for areas you missed.';
+  } else {
+    message = 'Keep studying! The chapters contain valuable insights worth revisiting.';
+  }
+  document.getElementById('scoreMessage').textContent = message;
+
+  // A resumed quiz was already saved when it was finished
+  if (!quizEngine.saved) {
+    saveQuizResults(byChapter, score, total);
+    quizEngine.saved = true;
+    saveQuizSession();
+  }
+  renderChapterResults(byChapter);
+}
+
+function renderChapterResults(byChapter) {
+  const tbody = document.getElementById('quizBreakdown');
+  if (!tbody) return;
+
+  const saved = loadFromStorage(quizEngine.resultsStorageKey) || {};
+  const rows = byChapter.map((entry, row) => {
+    const tr = document.createElement('tr');
+    if (row < byChapter.length - 1) tr.style.borderBottom = '1px solid var(--bg-hover)';
+
+    const link = document.createElement('a');
+    link.href = quizEngine.rootUrl + entry.chapter.url;
+    link.textContent = entry.chapter.title;
+    const best = saved[entry.chapter.id];
+
+    [link, entry.score + '/' + entry.total, best ? best.best + '%' : '-', best ? best.attempts : '-'].forEach((value, i) => {
+      const td = document.createElement('td');
+      td.style.padding = 'var(--space-sm)';
+      td.style.textAlign = i > 0 ? 'right' : 'left';
+      if (value instanceof Node) {
+        td.appendChild(value);
+      } else {
+        td.textContent = value;
+      }
+      tr.appendChild(td);
+    });
+    return tr;
+  });
+  tbody.replaceChildren(...rows);
+}
+
+// ===== Mastery =====
+
+function getChapterMastery(chapter, history) {
+  const seen = chapter.questions.filter(q => history[q.id]);
+  const attempts = seen.reduce((sum, q) => sum + history[q.id].attempts, 0);
+  const correct = seen.reduce((sum, q) => sum + history[q.id].correct, 0);
+  return {
+    seen: seen.length,
+    mastered: seen.filter(q => history[q.id].streak >= quizEngine.masteryStreak).length,
+    accuracy: attempts > 0 ? correct / attempts : null,
+    due: seen.filter(q => history[q.id].due <= Date.now()).length
+  };
+}
+
+function renderMastery() {
+  const tbody = document.getElementById('quizMastery');
+  if (!tbody) return;
+
+  const history = loadQuizHistory();
+  const rows = quizEngine.chapters.map((chapter, row) => {
+    const mastery = getChapterMastery(chapter, history);
+    const total = chapter.questions.length;
+    const tr = document.createElement('tr');
+    if (row < quizEngine.chapters.length - 1) tr.style.borderBottom = '1px solid var(--bg-hover)';
+
+    const link = document.createElement('a');
+    link.href = quizEngine.rootUrl + chapter.url;
+    link.textContent = chapter.title;
+
+    const values = [
+      link,
+      mastery.seen + '/' + total,
+      mastery.mastered + '/' + total,
+      mastery.accuracy === null ? '-' : formatPercent(mastery.accuracy * 100, 0),
+      mastery.due
+    ];
+    values.forEach((value, i) => {
+      const td = document.createElement('td');
+      td.style.padding = 'var(--space-sm)';
+      td.style.textAlign = i > 0 ? 'right' : 'left';
+      if (value instanceof Node) {
+        td.appendChild(value);
+      } else {
+        td.textContent = value;
+      }
+      if (i === 2 && mastery.mastered === total) td.style.color = 'var(--success)';
+      tr.appendChild(td);
+    });
+    return tr;
+  });
+  tbody.replaceChildren(...rows);
+}
+
+// ===== URL State =====
+
+function getQuizState() {
+  const state = { chapter: quizEngine.chapter, seed: quizEngine.seed };
+  if (quizEngine.chapter === 'review') state.ids = quizEngine.reviewIds;
+  return state;
+}
+
+// Rebuild the same shuffled quiz and replay any answers this browser gave to it
+function applyQuizState(state) {
+  const known = state.chapter === 'all' || quizEngine.chapters.some(chapter => chapter.id === state.chapter) ||
+    (state.chapter === 'review' && Array.isArray(state.ids) && state.ids.every(id => typeof id === 'string'));
+  if (!known || !Number.isInteger(state.seed) || state.seed < 0) {
+    startQuiz('all');
+    return;
+  }
+
+  const reviewIds = state.chapter === 'review' ? state.ids : [];
+  const questions = buildQuiz(state.chapter, state.seed, reviewIds);
+  quizEngine.chapter = state.chapter;
+  quizEngine.seed = state.seed;
+  quizEngine.reviewIds = reviewIds;
+  quizEngine.questions = questions;
+
+  const session = loadQuizSessions()[getQuizSessionKey()];
+  const answers = session && Array.isArray(session.answers) ? session.answers.slice(0, questions.length) : [];
+  const valid = answers.every((answer, i) => isValidAnswer(questions[i].question, answer));
+  quizEngine.answers = valid ? answers : [];
+  quizEngine.saved = !!(valid && session && session.saved);
+  saveQuizSession();
+
+  const select = document.getElementById('quizChapter');
+  if (select) select.value = state.chapter;
+  showQuestion();
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', initQuiz);
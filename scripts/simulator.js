@@ -0,0 +1,1106 @@
+/**
+ * Bitcoin for Institutions - Strategy Simulator
+ * Strategy selection plus the interactive model behind each strategy panel
+ */
+
+// Strategy Simulator State
+const simulator = {
+  currentStrategy: null,
+
+  // Inputs of each model, keyed by element id; values hold the current
+  // (validated) setting and start at each input's default. Inputs with
+  // `options` are selects, the rest are numbers clamped to min/max.
+  models: {
+    treasury: {
+      inputs: {
+        treasuryCash: { value: 500000000, min: 0, max: 1e12 },
+        treasuryBtcHeld: { value: 0, min: 0, max: 21000000 },
+        treasuryShares: { value: 100000000, min: 1, max: 1e11 },
+        treasurySharePrice: { value: 50, min: 0.01, max: 1e6 },
+        treasuryDebt: { value: 0, min: 0, max: 1e12 },
+        treasuryInterestRate: { value: 1, min: 0, max: 30 },
+        treasuryBtcPrice: { value: 100000, min: 1, max: 1e8 },
+        treasuryDeployPct: { value: 50, min: 0, max: 100 },
+        treasuryNewDebt: { value: 250000000, min: 0, max: 1e12 },
+        treasuryAtm: { value: 500000000, min: 0, max: 1e12 }
+      },
+      update: updateTreasuryModel
+    },
+    nqdc: {
+      inputs: {
+        nqdcDeferral: { value: 100000, min: 0, max: 1e8 },
+        nqdcYears: { value: 10, min: 1, max: 40 },
+        nqdcBtcReturn: { value: 20, min: -50, max: 100 },
+        nqdcFundReturn: { value: 6, min: -20, max: 30 },
+        nqdcTaxNow: { value: 37, min: 0, max: 60 },
+        nqdcTaxLater: { value: 24, min: 0, max: 60 },
+        nqdcDistribution: { value: 'installments', options: ['lump', 'installments'] },
+        nqdcInstallments: { value: 10, min: 2, max: 20 },
+        nqdcDefaultRisk: { value: 'off', options: ['off', 'on'] },
+        nqdcEmployerDefault: { value: 2, min: 0, max: 50 },
+        nqdcCustodyFailure: { value: 0.5, min: 0, max: 50 },
+        nqdcRecovery: { value: 30, min: 0, max: 100 }
+      },
+      update: updateNqdcModel
+    },
+    pension: {
+      inputs: {
+        pensionAssets: { value: 7000, min: 0, max: 1e7 },
+        pensionLiability: { value: 10000, min: 1, max: 1e7 },
+        pensionBenefits: { value: 500, min: 0, max: 1e6 },
+        pensionNormalCost: { value: 150, min: 0, max: 1e6 },
+        pensionBenefitGrowth: { value: 3, min: -10, max: 20 },
+        pensionDiscount: { value: 7, min: 0, max: 20 },
+        pensionContribution: { value: 'amortize', options: ['normal', 'amortize', 'fixed'] },
+        pensionAmortYears: { value: 20, min: 1, max: 50 },
+        pensionFixedContribution: { value: 300, min: 0, max: 1e6 },
+        pensionReturn: { value: 6.5, min: -10, max: 30 },
+        pensionVolatility: { value: 12, min: 0, max: 100 },
+        pensionBtcAllocation: { value: 2, min: 0, max: 5 },
+        pensionBtcReturn: { value: 25, min: -50, max: 200 },
+        pensionBtcVolatility: { value: 60, min: 0, max: 200 },
+        pensionCorrelation: { value: 0.3, min: -1, max: 1 },
+        pensionYears: { value: 10, min: 1, max: 30 },
+        pensionPaths: { value: 2000, min: 100, max: 10000 }
+      },
+      update: updatePensionModel
+    },
+    etf: {
+      inputs: {
+        etfPosition: { value: 50000, min: 1, max: 1e11 },
+        etfYears: { value: 10, min: 1, max: 50 },
+        etfBtcReturn: { value: 15, min: -50, max: 200 },
+        etfExpenseRatio: { value: 0.25, min: 0, max: 5 },
+        etfPremium: { value: 0, min: -50, max: 100 },
+        etfExitPremium: { value: 0, min: -50, max: 100 },
+        etfCustodyFee: { value: 0.15, min: 0, max: 5 },
+        etfTradingCost: { value: 0.3, min: 0, max: 10 },
+        etfTrustFee: { value: 1.5, min: 0, max: 5 },
+        etfTrustPremium: { value: 0, min: -50, max: 100 },
+        etfTrustExitPremium: { value: -10, min: -50, max: 100 }
+      },
+      update: updateEtfModel
+    },
+    credit: {
+      inputs: {
+        creditLoan: { value: 500000, min: 1, max: 1e10 },
+        creditCollateral: { value: 10, min: 0.0001, max: 21000000 },
+        creditBtcPrice: { value: 100000, min: 1, max: 1e8 },
+        creditMarginCall: { value: 70, min: 1, max: 100 },
+        creditLiquidation: { value: 85, min: 1, max: 100 },
+        creditInterest: { value: 10, min: 0, max: 50 },
+        creditInterestMode: { value: 'accrue', options: ['accrue', 'paid'] },
+        creditTopUp: { value: 'none', options: ['none', 'restore'] },
+        creditTermMonths: { value: 12, min: 1, max: 60 },
+        creditDrift: { value: 0, min: -100, max: 200 },
+        creditVolatility: { value: 60, min: 1, max: 200 },
+        creditPaths: { value: 2000, min: 100, max: 10000 }
+      },
+      update: updateCreditModel
+    }
+  },
+
+  // Pension paths share one seed so every allocation faces the same markets
+  pensionSeed: 13,
+  pensionAllocations: [0, 1, 2, 3, 4, 5],
+  // Upper edges of the ending funding-ratio histogram buckets, in percent
+  pensionBuckets: [50, 60, 70, 80, 90, 100, 110, 120, 150],
+
+  // Written by the Portfolio Calculator each time it runs
+  positionStorageKey: 'portfolio_position',
+  etfColors: [chartColors.blue, chartColors.bitcoin, chartColors.purple],
+
+  creditSeed: 21,
+  creditColors: [chartColors.bitcoin, chartColors.blue, chartColors.green, chartColors.purple, chartColors.bitcoinLight, chartColors.gray],
+
+  // Bitcoin price moves applied to the pro forma treasury, in percent
+  treasuryPriceScenarios: [-80, -50, -25, 0, 50, 100, 200]
+};
+
+// ===== Strategy Selection =====
+
+function showStrategy(strategy) {
+  // Hide all strategy contents
+  document.querySelectorAll('.strategy-content').forEach(el => {
+    el.style.display = 'none';
+  });
+
+  // Remove active state from all cards
+  document.querySelectorAll('.card-grid .card').forEach(el => {
+    el.style.borderColor = '';
+  });
+
+  // Show selected strategy
+  const strategyEl = document.getElementById('strategy-' + strategy);
+  if (strategyEl) {
+    simulator.currentStrategy = strategy;
+    writeUrlState(getSimulatorState());
+    strategyEl.style.display = 'block';
+    document.getElementById('strategy-details').style.display = 'block';
+
+    // Highlight selected card
+    const card = document.getElementById('card-' + strategy);
+    if (card) {
+      card.style.borderColor = 'var(--primary)';
+    }
+
+    // Scroll to details
+    document.getElementById('strategy-details').scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
+
+// ===== Model Inputs =====
+
+function getModelValues(name) {
+  const values = {};
+  const inputs = simulator.models[name].inputs;
+  Object.keys(inputs).forEach(id => {
+    values[id] = inputs[id].value;
+  });
+  return values;
+}
+
+function handleModelInput(name, e) {
+  try {
+    const input = simulator.models[name].inputs[e.target.id];
+    if (!input) return;
+    if (input.options) {
+      if (!input.options.includes(e.target.value)) return;
+      input.value = e.target.value;
+      updateModel(name);
+      return;
+    }
+    const value = parseFloat(e.target.value);
+    if (isNaN(value)) return;
+    input.value = clamp(value, input.min, input.max);
+    // Only rewrite the field once editing is done, so typing is not interrupted
+    if (e.type === 'change') e.target.value = input.value;
+    updateModel(name);
+  } catch (err) {
+    console.error('Error handling ' + name + ' input:', err);
+  }
+}
+
+function updateModel(name) {
+  try {
+    simulator.models[name].update(getModelValues(name));
+    writeUrlState(getSimulatorState());
+  } catch (err) {
+    console.error('Error updating ' + name + ' model:', err);
+  }
+}
+
+// Push model values into the form, e.g. after a shared link is opened
+function syncModelInputs(name) {
+  const inputs = simulator.models[name].inputs;
+  Object.keys(inputs).forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = inputs[id].value;
+  });
+}
+
+function setOutput(id, text, isPositive = null) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.textContent = text;
+  if (isPositive !== null) {
+    el.classList.remove('positive', 'negative');
+    el.classList.add(isPositive ? 'positive' : 'negative');
+  }
+}
+
+function appendTableRow(tbody, cells, options = {}) {
+  const row = document.createElement('tr');
+  row.style.borderBottom = '1px solid var(--bg-hover)';
+  cells.forEach((text, i) => {
+    const cell = document.createElement('td');
+    cell.style.padding = 'var(--space-sm)';
+    cell.style.textAlign = i === 0 ? 'left' : 'right';
+    if (options.colors && options.colors[i]) cell.style.color = options.colors[i];
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
+  tbody.appendChild(row);
+}
+
+// ===== Treasury =====
+
+/**
+ * Pro forma treasury after the purchase plan: part of the cash reserve, new
+ * debt and at-the-market (ATM) share sales are all used to buy bitcoin at
+ * the current price. mNAV is market capitalization over the value of the
+ * bitcoin held; an ATM raise adds bitcoin per share only when mNAV > 1.
+ */
+function calculateTreasury(v) {
+  const deployedCash = v.treasuryCash * v.treasuryDeployPct / 100;
+  const newShares = v.treasuryAtm / v.treasurySharePrice;
+  const btcBought = (deployedCash + v.treasuryNewDebt + v.treasuryAtm) / v.treasuryBtcPrice;
+
+  const btcHeld = v.treasuryBtcHeld + btcBought;
+  const shares = v.treasuryShares + newShares;
+  const cash = v.treasuryCash - deployedCash;
+  const debt = v.treasuryDebt + v.treasuryNewDebt;
+  const marketCap = shares * v.treasurySharePrice;
+  const btcValue = btcHeld * v.treasuryBtcPrice;
+
+  // Bitcoin per share just before the ATM raise, to judge whether it is accretive
+  const btcBeforeAtm = v.treasuryBtcHeld + (deployedCash + v.treasuryNewDebt) / v.treasuryBtcPrice;
+  const btcPerShareBefore = v.treasuryBtcHeld / v.treasuryShares;
+  const btcPerShare = btcHeld / shares;
+
+  return {
+    btcBought,
+    btcHeld,
+    btcValue,
+    shares,
+    newShares,
+    dilution: newShares / v.treasuryShares * 100,
+    btcPerShareBefore,
+    btcPerShare,
+    btcYield: btcPerShareBefore > 0 ? (btcPerShare / btcPerShareBefore - 1) * 100 : null,
+    atmAccretive: v.treasurySharePrice * v.treasuryShares > btcBeforeAtm * v.treasuryBtcPrice,
+    cash,
+    debt,
+    annualInterest: debt * v.treasuryInterestRate / 100,
+    marketCap,
+    nav: btcValue + cash - debt,
+    mNav: btcValue > 0 ? marketCap / btcValue : null
+  };
+}
+
+// The pro forma balance sheet revalued at each bitcoin price move
+function getTreasuryScenarios(v, result) {
+  return simulator.treasuryPriceScenarios.map(change => {
+    const price = v.treasuryBtcPrice * (1 + change / 100);
+    const btcValue = result.btcHeld * price;
+    const nav = btcValue + result.cash - result.debt;
+    return {
+      change,
+      price,
+      btcValue,
+      nav,
+      navPerShare: nav / result.shares,
+      coverage: result.debt > 0 ? (btcValue + result.cash) / result.debt : null,
+      mNav: btcValue > 0 ? result.marketCap / btcValue : null
+    };
+  });
+}
+
+function updateTreasuryModel(v) {
+  const result = calculateTreasury(v);
+  const perThousand = btc => formatNumber(btc * 1000, 4);
+
+  setOutput('treasuryBtcTotal', formatNumber(result.btcHeld, 0) + ' BTC');
+  setOutput('treasuryBtcPerShare', perThousand(result.btcPerShare));
+  setOutput('treasuryBtcYield', result.btcYield === null ? '—' : (result.btcYield >= 0 ? '+' : '') + result.btcYield.toFixed(1) + '%',
+    result.btcYield === null ? null : result.btcYield >= 0);
+  setOutput('treasuryMNav', result.mNav === null ? '—' : result.mNav.toFixed(2) + 'x');
+  setOutput('treasuryPremium', result.mNav === null ? '—' : ((result.mNav - 1) * 100).toFixed(0) + '%',
+    result.mNav === null ? null : result.mNav >= 1);
+  setOutput('treasuryDilution', result.dilution.toFixed(1) + '%');
+  setOutput('treasuryNav', formatCurrency(result.nav));
+  setOutput('treasuryInterest', formatCurrency(result.annualInterest));
+
+  const note = document.getElementById('treasuryAtmNote');
+  if (note) {
+    note.textContent = v.treasuryAtm > 0
+      ? 'The ATM sells ' + formatNumber(result.newShares) + ' new shares. ' + (result.atmAccretive
+        ? 'The stock trades above the bitcoin it represents, so the raise is accretive: each new share brings in more bitcoin than existing shares hold.'
+        : 'The stock trades at or below the bitcoin it represents, so the raise is dilutive to bitcoin per share.')
+      : 'No ATM issuance in the plan.';
+  }
+
+  const tbody = document.getElementById('treasuryScenarios');
+  if (tbody) {
+    tbody.textContent = '';
+    getTreasuryScenarios(v, result).forEach(s => {
+      appendTableRow(tbody, [
+        (s.change > 0 ? '+' : '') + s.change + '% (' + formatCurrency(s.price) + ')',
+        formatCurrency(s.btcValue),
+        formatCurrency(s.nav),
+        formatCurrency(s.navPerShare, 2),
+        s.coverage === null ? 'No debt' : s.coverage.toFixed(2) + 'x',
+        s.mNav === null ? '—' : s.mNav.toFixed(2) + 'x'
+      ], {
+        colors: {
+          2: s.nav < 0 ? 'var(--error)' : null,
+          4: s.coverage !== null && s.coverage < 1 ? 'var(--error)' : null
+        }
+      });
+    });
+  }
+}
+
+// ===== NQDC =====
+
+/**
+ * Project one participant's NQDC account under a given annual return.
+ * Deferrals go in at the end of each deferral year; distributions start at
+ * separation (the end of the last deferral year), either as a lump sum or as
+ * annual installments of 1/n, 1/(n-1), ... of the balance while the rest
+ * keeps growing. Every payment is taxed at the distribution-year rate.
+ *
+ * With default risk on, each payment is weighted by the chance the plan has
+ * survived to that year: unfunded NQDC assets belong to the employer, so an
+ * employer failure leaves participants as unsecured creditors recovering
+ * only part of their claim. A bitcoin option adds the custodian's failure
+ * rate on top ("double counterparty risk").
+ */
+function projectNqdc(v, annualReturn, custodyRisk) {
+  const r = annualReturn / 100;
+  let balance = 0;
+  for (let year = 1; year <= v.nqdcYears; year++) {
+    balance = balance * (1 + r) + v.nqdcDeferral;
+  }
+  const balanceAtSeparation = balance;
+
+  const count = v.nqdcDistribution === 'lump' ? 1 : Math.round(v.nqdcInstallments);
+  const annualFailure = v.nqdcDefaultRisk === 'on'
+    ? 1 - (1 - v.nqdcEmployerDefault / 100) * (1 - (custodyRisk ? v.nqdcCustodyFailure / 100 : 0))
+    : 0;
+  const recovery = v.nqdcRecovery / 100;
+
+  const payments = [];
+  for (let i = 0; i < count; i++) {
+    if (i > 0) balance *= 1 + r;
+    const gross = balance / (count - i);
+    balance -= gross;
+    const afterTax = gross * (1 - v.nqdcTaxLater / 100);
+    const year = v.nqdcYears + i;
+    const survival = Math.pow(1 - annualFailure, year);
+    payments.push({ year, gross, afterTax, expected: afterTax * (survival + (1 - survival) * recovery) });
+  }
+
+  const sum = key => payments.reduce((total, p) => total + p[key], 0);
+  return {
+    balanceAtSeparation,
+    payments,
+    totalGross: sum('gross'),
+    totalAfterTax: sum('afterTax'),
+    expectedAfterTax: sum('expected')
+  };
+}
+
+function updateNqdcModel(v) {
+  const btc = projectNqdc(v, v.nqdcBtcReturn, true);
+  const fund = projectNqdc(v, v.nqdcFundReturn, false);
+  const riskOn = v.nqdcDefaultRisk === 'on';
+  const deferred = v.nqdcDeferral * v.nqdcYears;
+
+  const installmentsRow = document.getElementById('nqdcInstallmentsRow');
+  if (installmentsRow) installmentsRow.style.display = v.nqdcDistribution === 'installments' ? '' : 'none';
+  const riskRows = document.getElementById('nqdcRiskRows');
+  if (riskRows) riskRows.style.display = riskOn ? '' : 'none';
+
+  setOutput('nqdcTotalDeferred', formatCurrency(deferred));
+  setOutput('nqdcTaxDeferred', formatCurrency(deferred * v.nqdcTaxNow / 100));
+  setOutput('nqdcRateGap', (v.nqdcTaxNow - v.nqdcTaxLater).toFixed(0) + ' pts',
+    v.nqdcTaxNow === v.nqdcTaxLater ? null : v.nqdcTaxNow > v.nqdcTaxLater);
+
+  [['Btc', btc], ['Fund', fund]].forEach(([suffix, result]) => {
+    setOutput('nqdc' + suffix + 'Balance', formatCurrency(result.balanceAtSeparation));
+    setOutput('nqdc' + suffix + 'AfterTax', formatCurrency(result.totalAfterTax));
+    setOutput('nqdc' + suffix + 'Expected', riskOn ? formatCurrency(result.expectedAfterTax) : '—');
+    setOutput('nqdc' + suffix + 'RiskCost', riskOn
+      ? formatCurrency(result.totalAfterTax - result.expectedAfterTax) + ' (' +
+        (result.totalAfterTax > 0 ? ((1 - result.expectedAfterTax / result.totalAfterTax) * 100).toFixed(1) : '0.0') + '%)'
+      : '—');
+  });
+
+  const tbody = document.getElementById('nqdcSchedule');
+  if (tbody) {
+    tbody.textContent = '';
+    const key = riskOn ? 'expected' : 'afterTax';
+    btc.payments.forEach((payment, i) => {
+      appendTableRow(tbody, [
+        'Year ' + payment.year,
+        formatCurrency(payment[key]),
+        formatCurrency(fund.payments[i][key])
+      ]);
+    });
+  }
+  const scheduleNote = document.getElementById('nqdcScheduleNote');
+  if (scheduleNote) {
+    scheduleNote.textContent = riskOn
+      ? 'After-tax payments weighted by the chance they are received in full; a failed employer pays ' + v.nqdcRecovery + '% of the claim.'
+      : 'After-tax payments, assuming the employer and custodian never fail.';
+  }
+}
+
+// ===== Pension =====
+
+// Mean and standard deviation of the log return matching an arithmetic mean and volatility
+function getLogNormalParams(mean, volatility) {
+  const m = 1 + mean / 100;
+  const variance = Math.log(1 + Math.pow(volatility / 100, 2) / (m * m));
+  return { mu: Math.log(m) - variance / 2, sigma: Math.sqrt(variance) };
+}
+
+/**
+ * Simulate the funding ratio (assets / liabilities) year by year. The plan
+ * holds its existing portfolio plus a bitcoin sleeve, rebalanced annually,
+ * with the two returns drawn as correlated lognormals. Liabilities accrue at
+ * the discount rate, grow by the normal cost (new benefits earned) and fall
+ * by the benefits paid; contributions follow the chosen policy.
+ */
+function simulatePension(v, btcAllocation) {
+  const random = createRandom(simulator.pensionSeed);
+  const base = getLogNormalParams(v.pensionReturn, v.pensionVolatility);
+  const btc = getLogNormalParams(v.pensionBtcReturn, v.pensionBtcVolatility);
+  const w = btcAllocation / 100;
+  const rho = v.pensionCorrelation;
+  const years = Math.round(v.pensionYears);
+  const paths = Math.round(v.pensionPaths);
+
+  const endingRatios = [];
+  let reachedFull = 0;
+  for (let p = 0; p < paths; p++) {
+    let assets = v.pensionAssets;
+    let liability = v.pensionLiability;
+    let benefits = v.pensionBenefits;
+    let normalCost = v.pensionNormalCost;
+    let funded = assets >= liability;
+
+    for (let year = 0; year < years; year++) {
+      let contribution = normalCost;
+      if (v.pensionContribution === 'amortize') {
+        contribution += Math.max(0, liability - assets) / v.pensionAmortYears;
+      } else if (v.pensionContribution === 'fixed') {
+        contribution = v.pensionFixedContribution;
+      }
+
+      // Draw both assets every year so allocations see identical markets
+      const z1 = randomNormal(random);
+      const z2 = rho * z1 + Math.sqrt(1 - rho * rho) * randomNormal(random);
+      const portfolioReturn = (1 - w) * Math.exp(base.mu + base.sigma * z1) + w * Math.exp(btc.mu + btc.sigma * z2) - 1;
+
+      assets = Math.max(0, assets * (1 + portfolioReturn) + contribution - benefits);
+      liability = Math.max(0, liability * (1 + v.pensionDiscount / 100) + normalCost - benefits);
+      benefits *= 1 + v.pensionBenefitGrowth / 100;
+      normalCost *= 1 + v.pensionBenefitGrowth / 100;
+      if (liability > 0 && assets >= liability) funded = true;
+    }
+
+    if (funded) reachedFull++;
+    endingRatios.push(liability > 0 ? assets / liability * 100 : 100);
+  }
+
+  endingRatios.sort((a, b) => a - b);
+  const percentile = q => endingRatios[Math.min(paths - 1, Math.floor(q / 100 * paths))];
+  const startRatio = v.pensionAssets / v.pensionLiability * 100;
+  return {
+    btcAllocation,
+    startRatio,
+    probabilityFull: reachedFull / paths * 100,
+    probabilityWorse: endingRatios.filter(r => r < startRatio).length / paths * 100,
+    percentiles: { 5: percentile(5), 25: percentile(25), 50: percentile(50), 75: percentile(75), 95: percentile(95) },
+    endingRatios
+  };
+}
+
+// Share of paths ending in each funding-ratio bucket
+function getFundingHistogram(endingRatios) {
+  const edges = simulator.pensionBuckets;
+  const counts = new Array(edges.length + 1).fill(0);
+  endingRatios.forEach(ratio => {
+    const bucket = edges.findIndex(edge => ratio < edge);
+    counts[bucket === -1 ? edges.length : bucket]++;
+  });
+  const labels = edges.map((edge, i) => (i === 0 ? '<' + edge : edges[i - 1] + '–' + edge) + '%');
+  labels.push('≥' + edges[edges.length - 1] + '%');
+  return { labels, shares: counts.map(count => count / endingRatios.length * 100) };
+}
+
+function updatePensionModel(v) {
+  const amortRow = document.getElementById('pensionAmortRow');
+  if (amortRow) amortRow.style.display = v.pensionContribution === 'amortize' ? '' : 'none';
+  const fixedRow = document.getElementById('pensionFixedRow');
+  if (fixedRow) fixedRow.style.display = v.pensionContribution === 'fixed' ? '' : 'none';
+  setOutput('pensionBtcAllocationValue', v.pensionBtcAllocation + '%');
+  const slider = document.getElementById('pensionBtcAllocation');
+  if (slider) slider.setAttribute('aria-valuenow', v.pensionBtcAllocation);
+  document.querySelectorAll('[data-pension-years]').forEach(el => {
+    el.textContent = Math.round(v.pensionYears);
+  });
+
+  const chosen = simulatePension(v, v.pensionBtcAllocation);
+  const withoutBtc = v.pensionBtcAllocation > 0 ? simulatePension(v, 0) : chosen;
+
+  setOutput('pensionStartRatio', chosen.startRatio.toFixed(0) + '%');
+  setOutput('pensionFullProb', chosen.probabilityFull.toFixed(1) + '%');
+  const change = chosen.probabilityFull - withoutBtc.probabilityFull;
+  setOutput('pensionFullProbChange', (change >= 0 ? '+' : '') + change.toFixed(1) + ' pts', change === 0 ? null : change > 0);
+  setOutput('pensionMedianRatio', chosen.percentiles[50].toFixed(0) + '%');
+  setOutput('pensionRange', chosen.percentiles[5].toFixed(0) + '% – ' + chosen.percentiles[95].toFixed(0) + '%');
+  setOutput('pensionWorseProb', chosen.probabilityWorse.toFixed(1) + '%');
+
+  const tbody = document.getElementById('pensionAllocations');
+  if (tbody) {
+    tbody.textContent = '';
+    simulator.pensionAllocations.forEach(allocation => {
+      const result = allocation === v.pensionBtcAllocation ? chosen
+        : allocation === 0 ? withoutBtc
+        : simulatePension(v, allocation);
+      const highlight = allocation === v.pensionBtcAllocation ? 'var(--primary)' : null;
+      appendTableRow(tbody, [
+        allocation + '%',
+        result.probabilityFull.toFixed(1) + '%',
+        result.percentiles[50].toFixed(0) + '%',
+        result.percentiles[5].toFixed(0) + '%',
+        result.percentiles[95].toFixed(0) + '%'
+      ], { colors: { 0: highlight, 1: highlight } });
+    });
+  }
+
+  updatePensionChart(getFundingHistogram(chosen.endingRatios), v.pensionBtcAllocation);
+}
+
+function updatePensionChart(histogram, btcAllocation) {
+  try {
+    const ctx = document.getElementById('pensionChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    if (window.pensionChartInstance) {
+      window.pensionChartInstance.destroy();
+    }
+
+    window.pensionChartInstance = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: histogram.labels,
+        datasets: [{
+          label: 'Share of Paths (' + btcAllocation + '% Bitcoin)',
+          data: histogram.shares,
+          backgroundColor: histogram.labels.map((label, i) =>
+            i >= simulator.pensionBuckets.indexOf(100) + 1 ? chartColors.green : chartColors.bitcoin)
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { labels: { color: '#E6EDF3' } },
+          tooltip: {
+            backgroundColor: '#1C2128',
+            titleColor: '#E6EDF3',
+            bodyColor: '#8B949E',
+            callbacks: {
+              label: context => context.raw.toFixed(1) + '% of paths'
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Funding Ratio at Horizon', color: '#8B949E' },
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E' }
+          },
+          y: {
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E', callback: value => value + '%' }
+          }
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error creating pension chart:', err);
+  }
+}
+
+// ===== ETF Vehicles =====
+
+/**
+ * Cost assumptions for each way of holding the position. The ETF is assumed
+ * to trade commission-free at a tight spread; buying and selling spot bitcoin
+ * for direct custody pays the trading cost each way.
+ */
+function getEtfVehicles(v) {
+  return [
+    { name: 'Spot ETF', fee: v.etfExpenseRatio, entryPremium: v.etfPremium, exitPremium: v.etfExitPremium, tradingCost: 0 },
+    { name: 'Direct Custody', fee: v.etfCustodyFee, entryPremium: 0, exitPremium: 0, tradingCost: v.etfTradingCost },
+    { name: 'Trust / Closed-End', fee: v.etfTrustFee, entryPremium: v.etfTrustPremium, exitPremium: v.etfTrustExitPremium, tradingCost: 0 }
+  ];
+}
+
+/**
+ * Value of the position if sold at the end of each year, against holding
+ * bitcoin at no cost. Paying a premium buys less bitcoin exposure; the
+ * annual fee shrinks the exposure every year; the exit premium or discount
+ * applies to the sale.
+ */
+function projectVehicle(v, vehicle) {
+  const growth = 1 + v.etfBtcReturn / 100;
+  const exposure = v.etfPosition / (1 + vehicle.entryPremium / 100) * (1 - vehicle.tradingCost / 100);
+  const years = [];
+  for (let year = 1; year <= v.etfYears; year++) {
+    const bitcoin = v.etfPosition * Math.pow(growth, year);
+    const gross = exposure * Math.pow(growth, year);
+    const nav = gross * Math.pow(1 - vehicle.fee / 100, year);
+    const proceeds = nav * (1 + vehicle.exitPremium / 100) * (1 - vehicle.tradingCost / 100);
+    years.push({
+      year,
+      bitcoin,
+      proceeds,
+      fees: gross - nav,
+      totalCost: bitcoin - proceeds
+    });
+  }
+  return years;
+}
+
+function getCalculatorPosition() {
+  const position = loadFromStorage(simulator.positionStorageKey, null);
+  if (!position || !isFinite(position.portfolioSize) || !isFinite(position.bitcoinWeight)) return null;
+  return position;
+}
+
+function showCalculatorPosition() {
+  const note = document.getElementById('etfPositionNote');
+  if (!note) return;
+  const position = getCalculatorPosition();
+  if (!position) {
+    note.textContent = 'Set an allocation in the Portfolio Calculator to size the position from it.';
+  } else if (position.bitcoinWeight <= 0) {
+    note.textContent = 'Your last Portfolio Calculator allocation had no bitcoin.';
+  } else {
+    note.textContent = 'Portfolio Calculator: ' + position.bitcoinWeight + '% of ' + formatCurrency(position.portfolioSize) +
+      ' = ' + formatCurrency(position.portfolioSize * position.bitcoinWeight / 100) + ' over ' + position.timeHorizon + ' years.';
+  }
+  const button = document.getElementById('etfUsePortfolio');
+  if (button) button.disabled = !position || position.bitcoinWeight <= 0;
+}
+
+function useCalculatorPosition() {
+  const position = getCalculatorPosition();
+  if (!position || position.bitcoinWeight <= 0) return;
+  const inputs = simulator.models.etf.inputs;
+  inputs.etfPosition.value = clamp(position.portfolioSize * position.bitcoinWeight / 100, inputs.etfPosition.min, inputs.etfPosition.max);
+  if (isFinite(position.timeHorizon)) {
+    inputs.etfYears.value = clamp(Math.round(position.timeHorizon), inputs.etfYears.min, inputs.etfYears.max);
+  }
+  syncModelInputs('etf');
+  updateModel('etf');
+}
+
+function updateEtfModel(v) {
+  const projections = getEtfVehicles(v).map(vehicle => ({ vehicle, years: projectVehicle(v, vehicle) }));
+  const finals = projections.map(p => p.years[p.years.length - 1]);
+  const bitcoin = finals[0].bitcoin;
+
+  let cheapest = 0;
+  let dearest = 0;
+  finals.forEach((final, i) => {
+    if (final.totalCost < finals[cheapest].totalCost) cheapest = i;
+    if (final.totalCost > finals[dearest].totalCost) dearest = i;
+  });
+
+  setOutput('etfBitcoinValue', formatCurrency(bitcoin));
+  setOutput('etfCheapest', projections[cheapest].vehicle.name);
+  setOutput('etfSavings', formatCurrency(finals[dearest].totalCost - finals[cheapest].totalCost));
+  document.querySelectorAll('[data-etf-years]').forEach(el => {
+    el.textContent = v.etfYears;
+  });
+
+  const tbody = document.getElementById('etfComparison');
+  if (tbody) {
+    tbody.textContent = '';
+    projections.forEach(({ vehicle }, i) => {
+      const final = finals[i];
+      appendTableRow(tbody, [
+        vehicle.name,
+        vehicle.fee.toFixed(2) + '%',
+        formatCurrency(final.proceeds),
+        formatCurrency(final.fees),
+        formatCurrency(final.totalCost - final.fees),
+        formatCurrency(final.totalCost),
+        (final.totalCost / bitcoin * 100).toFixed(1) + '%'
+      ], { colors: { 0: i === cheapest ? 'var(--success)' : null } });
+    });
+  }
+
+  updateEtfChart(projections);
+}
+
+function updateEtfChart(projections) {
+  try {
+    const ctx = document.getElementById('etfChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    if (window.etfChartInstance) {
+      window.etfChartInstance.destroy();
+    }
+
+    window.etfChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: projections[0].years.map(y => 'Year ' + y.year),
+        datasets: projections.map(({ vehicle, years }, i) => ({
+          label: vehicle.name,
+          data: years.map(y => y.totalCost),
+          borderColor: simulator.etfColors[i],
+          backgroundColor: 'transparent',
+          borderWidth: 2,
+          tension: 0.2,
+          fill: false
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { labels: { color: '#E6EDF3' } },
+          tooltip: {
+            backgroundColor: '#1C2128',
+            titleColor: '#E6EDF3',
+            bodyColor: '#8B949E',
+            callbacks: {
+              label: context => context.dataset.label + ': ' + formatCurrency(context.raw)
+            }
+          }
+        },
+        scales: {
+          x: {
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E' }
+          },
+          y: {
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E', callback: value => formatCurrency(value) }
+          }
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error creating ETF chart:', err);
+  }
+}
+
+// ===== Bitcoin-Backed Credit =====
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+/**
+ * Bitcoin prices from a drawdown's peak through the loan term, relative to
+ * the peak price. Borrowing at the peak is the worst case for a lender.
+ */
+function getEpisodePath(episode, termMonths) {
+  const lastDay = termMonths * DAYS_PER_MONTH;
+  return sampleBitcoinData.prices
+    .map(([date, price]) => ({ days: daysBetween(episode.start, date), ratio: price / episode.peak }))
+    .filter(point => point.days >= 0 && point.days <= lastDay);
+}
+
+function getLoanBalance(v, days) {
+  return v.creditInterestMode === 'accrue'
+    ? v.creditLoan * Math.pow(1 + v.creditInterest / 100, days / 365.25)
+    : v.creditLoan;
+}
+
+/**
+ * Walk a relative price path and record the first margin call and any
+ * liquidation. With top-ups on, each margin call is cured by posting enough
+ * bitcoin to bring the LTV back to where the loan started; a new call needs
+ * the LTV to cross the threshold again.
+ */
+function replayLoan(v, path) {
+  const startLtv = v.creditLoan / (v.creditCollateral * v.creditBtcPrice) * 100;
+  let collateral = v.creditCollateral;
+  let inCall = false;
+  let marginCall = null;
+  let marginCalls = 0;
+  let liquidation = null;
+  const ltvPath = [];
+
+  for (const point of path) {
+    const price = v.creditBtcPrice * point.ratio;
+    const balance = getLoanBalance(v, point.days);
+    let ltv = balance / (collateral * price) * 100;
+
+    if (ltv >= v.creditLiquidation) {
+      ltvPath.push({ days: point.days, ltv });
+      liquidation = { days: point.days, drop: (point.ratio - 1) * 100 };
+      // A fall straight through both thresholds is a call and a liquidation at once
+      if (!marginCall) {
+        marginCall = liquidation;
+        marginCalls++;
+      }
+      break;
+    }
+    if (ltv >= v.creditMarginCall) {
+      if (!inCall) {
+        marginCalls++;
+        if (!marginCall) marginCall = { days: point.days, drop: (point.ratio - 1) * 100 };
+      }
+      inCall = true;
+      if (v.creditTopUp === 'restore') {
+        collateral = Math.max(collateral, balance / (price * startLtv / 100));
+        ltv = balance / (collateral * price) * 100;
+        inCall = false;
+      }
+    } else {
+      inCall = false;
+    }
+    ltvPath.push({ days: point.days, ltv });
+  }
+
+  return {
+    marginCall,
+    marginCalls,
+    liquidation,
+    btcAdded: collateral - v.creditCollateral,
+    minRatio: Math.min(...path.map(point => point.ratio)),
+    ltvPath
+  };
+}
+
+// Bitcoin needed at the outset for the loan to survive a fall to minRatio of today's price
+function getCollateralNeeded(v, minRatio) {
+  const balance = getLoanBalance(v, v.creditTermMonths * DAYS_PER_MONTH);
+  return balance / (v.creditBtcPrice * minRatio * v.creditLiquidation / 100);
+}
+
+// Monthly lognormal price paths over the loan term
+function simulateLoanPaths(v) {
+  const random = createRandom(simulator.creditSeed);
+  const annual = getLogNormalParams(v.creditDrift, v.creditVolatility);
+  const mu = annual.mu / 12;
+  const sigma = annual.sigma / Math.sqrt(12);
+  const months = Math.round(v.creditTermMonths);
+  const paths = Math.round(v.creditPaths);
+
+  let calls = 0;
+  let liquidations = 0;
+  const callMonths = [];
+  const minRatios = [];
+  for (let p = 0; p < paths; p++) {
+    const path = [{ days: 0, ratio: 1 }];
+    let ratio = 1;
+    for (let m = 1; m <= months; m++) {
+      ratio *= Math.exp(mu + sigma * randomNormal(random));
+      path.push({ days: m * DAYS_PER_MONTH, ratio });
+    }
+    const result = replayLoan(v, path);
+    if (result.marginCall) {
+      calls++;
+      callMonths.push(result.marginCall.days / DAYS_PER_MONTH);
+    }
+    if (result.liquidation) liquidations++;
+    minRatios.push(result.minRatio);
+  }
+
+  minRatios.sort((a, b) => a - b);
+  callMonths.sort((a, b) => a - b);
+  return {
+    probabilityCall: calls / paths * 100,
+    probabilityLiquidation: liquidations / paths * 100,
+    medianMonthsToCall: callMonths.length ? callMonths[Math.floor(callMonths.length / 2)] : null,
+    // Collateral that survives all but the worst 5% / 1% of paths
+    collateral95: getCollateralNeeded(v, minRatios[Math.floor(paths * 0.05)]),
+    collateral99: getCollateralNeeded(v, minRatios[Math.floor(paths * 0.01)])
+  };
+}
+
+function formatMonthYear(isoDate) {
+  return new Date(isoDate + 'T00:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', year: 'numeric' });
+}
+
+function formatLoanEvent(event) {
+  if (!event) return null;
+  const months = event.days / DAYS_PER_MONTH;
+  return (months < 1 ? event.days + ' days' : months.toFixed(1) + ' months') + ' (' + event.drop.toFixed(0) + '%)';
+}
+
+function updateCreditModel(v) {
+  const collateralValue = v.creditCollateral * v.creditBtcPrice;
+  const startLtv = v.creditLoan / collateralValue * 100;
+  const callPrice = v.creditLoan / (v.creditCollateral * v.creditMarginCall / 100);
+  const liquidationPrice = v.creditLoan / (v.creditCollateral * v.creditLiquidation / 100);
+
+  setOutput('creditStartLtv', startLtv.toFixed(1) + '%', startLtv < v.creditMarginCall);
+  setOutput('creditCallPrice', formatCurrency(callPrice));
+  setOutput('creditCallDrop', 'Margin Call (' + ((callPrice / v.creditBtcPrice - 1) * 100).toFixed(0) + '%)');
+  setOutput('creditLiquidationPrice', formatCurrency(liquidationPrice));
+  setOutput('creditLiquidationDrop', 'Liquidation (' + ((liquidationPrice / v.creditBtcPrice - 1) * 100).toFixed(0) + '%)');
+
+  const warning = document.getElementById('creditWarning');
+  if (warning) {
+    let text = '';
+    if (v.creditLiquidation <= v.creditMarginCall) text = 'The liquidation LTV should sit above the margin-call LTV, or borrowers get no warning before liquidation.';
+    else if (startLtv >= v.creditMarginCall) text = 'The loan starts at or above the margin-call LTV.';
+    warning.textContent = text;
+    warning.style.display = text ? 'block' : 'none';
+  }
+
+  // Historical replay: borrow at each drawdown's peak
+  const replays = sampleBitcoinData.drawdowns.map(episode => ({
+    episode,
+    result: replayLoan(v, getEpisodePath(episode, v.creditTermMonths))
+  }));
+  const tbody = document.getElementById('creditReplay');
+  if (tbody) {
+    tbody.textContent = '';
+    replays.forEach(({ episode, result }) => {
+      appendTableRow(tbody, [
+        formatMonthYear(episode.start),
+        ((result.minRatio - 1) * 100).toFixed(0) + '%',
+        formatLoanEvent(result.marginCall) || 'None',
+        formatLoanEvent(result.liquidation) || 'Survived',
+        v.creditTopUp === 'restore' && result.btcAdded > 0
+          ? formatNumber(result.btcAdded, 2) + ' BTC (' + result.marginCalls + (result.marginCalls === 1 ? ' call)' : ' calls)')
+          : '—',
+        formatNumber(getCollateralNeeded(v, result.minRatio), 2) + ' BTC'
+      ], {
+        colors: {
+          2: result.marginCall ? 'var(--warning)' : null,
+          3: result.liquidation ? 'var(--error)' : 'var(--success)'
+        }
+      });
+    });
+  }
+  updateCreditChart(v, replays);
+
+  const simulated = simulateLoanPaths(v);
+  setOutput('creditSimCall', simulated.probabilityCall.toFixed(1) + '%');
+  setOutput('creditSimLiquidation', simulated.probabilityLiquidation.toFixed(1) + '%');
+  setOutput('creditSimCallMonths', simulated.medianMonthsToCall === null ? '—' : simulated.medianMonthsToCall.toFixed(0) + ' months');
+  setOutput('creditSim95', formatNumber(simulated.collateral95, 2) + ' BTC');
+  setOutput('creditSim99', formatNumber(simulated.collateral99, 2) + ' BTC');
+}
+
+function updateCreditChart(v, replays) {
+  try {
+    const ctx = document.getElementById('creditChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    if (window.creditChartInstance) {
+      window.creditChartInstance.destroy();
+    }
+
+    const months = v.creditTermMonths;
+    const threshold = (label, value, color) => ({
+      label,
+      data: [{ x: 0, y: value }, { x: months, y: value }],
+      borderColor: color,
+      borderDash: [6, 4],
+      borderWidth: 1,
+      pointRadius: 0,
+      fill: false
+    });
+
+    window.creditChartInstance = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: replays.map(({ episode, result }, i) => ({
+          label: 'Borrowed ' + formatMonthYear(episode.start),
+          data: result.ltvPath.map(point => ({ x: point.days / DAYS_PER_MONTH, y: point.ltv })),
+          borderColor: simulator.creditColors[i % simulator.creditColors.length],
+          borderWidth: 2,
+          pointRadius: 2,
+          fill: false
+        })).concat([
+          threshold('Margin Call', v.creditMarginCall, '#D29922'),
+          threshold('Liquidation', v.creditLiquidation, chartColors.red)
+        ])
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { labels: { color: '#E6EDF3' } },
+          tooltip: {
+            backgroundColor: '#1C2128',
+            titleColor: '#E6EDF3',
+            bodyColor: '#8B949E',
+            callbacks: {
+              title: items => items.length ? 'Month ' + items[0].raw.x.toFixed(1) : '',
+              label: context => context.dataset.label + ': ' + context.raw.y.toFixed(1) + '% LTV'
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'linear',
+            min: 0,
+            max: months,
+            title: { display: true, text: 'Months After Borrowing', color: '#8B949E' },
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E' }
+          },
+          y: {
+            min: 0,
+            suggestedMax: 100,
+            grid: { color: '#21262D' },
+            ticks: { color: '#8B949E', callback: value => value + '%' }
+          }
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error creating credit chart:', err);
+  }
+}
+
+// ===== Shareable State =====
+
+// The open strategy plus any model inputs changed from their defaults
+function getSimulatorState() {
+  const state = simulator.currentStrategy ? { strategy: simulator.currentStrategy } : {};
+  Object.keys(simulator.models).forEach(name => {
+    const inputs = simulator.models[name].inputs;
+    const changed = {};
+    Object.keys(inputs).forEach(id => {
+      if (inputs[id].value !== inputs[id].default) changed[id] = inputs[id].value;
+    });
+    if (Object.keys(changed).length) state[name] = changed;
+  });
+  return state;
+}
+
+function applySimulatorState(state) {
+  Object.keys(simulator.models).forEach(name => {
+    const saved = state[name];
+    if (!saved || typeof saved !== 'object') return;
+    const inputs = simulator.models[name].inputs;
+    Object.keys(saved).forEach(id => {
+      const input = inputs[id];
+      if (!input) return;
+      if (input.options) {
+        if (input.options.includes(saved[id])) input.value = saved[id];
+        return;
+      }
+      const value = parseFloat(saved[id]);
+      if (isFinite(value)) input.value = clamp(value, input.min, input.max);
+    });
+    syncModelInputs(name);
+    updateModel(name);
+  });
+  if (typeof state.strategy === 'string' && /^[a-z]+$/.test(state.strategy)) {
+    showStrategy(state.strategy);
+  }
+}
+
+// Initialize simulator
+function initSimulator() {
+  Object.keys(simulator.models).forEach(name => {
+    const inputs = simulator.models[name].inputs;
+    Object.keys(inputs).forEach(id => {
+      inputs[id].default = inputs[id].value;
+      const el = document.getElementById(id);
+      if (el) {
+        el.value = inputs[id].value;
+        el.addEventListener('input', e => handleModelInput(name, e));
+        el.addEventListener('change', e => handleModelInput(name, e));
+      }
+    });
+    simulator.models[name].update(getModelValues(name));
+  });
+
+  showCalculatorPosition();
+  const usePortfolio = document.getElementById('etfUsePortfolio');
+  if (usePortfolio) usePortfolio.addEventListener('click', useCalculatorPosition);
+
+  initUrlState({ getState: getSimulatorState, applyState: applySimulatorState });
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', initSimulator);